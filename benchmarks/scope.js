@@ -0,0 +1,66 @@
+'use strict'
+
+/**
+ * Compares permission checks against token with several hundred claims with
+ * and without compiled scope index and caches.
+ *
+ *   node benchmarks/scope.js [iterations]
+ */
+
+const createChecker = require('../checker')
+const utils = require('../utils')
+
+const iterations = Number(process.argv[2]) || 2000
+const claimsCount = 500
+const checksPerRequest = 20
+
+const scope = Array.from(
+  { length: claimsCount },
+  (_, index) => `service_${index % 50}:resource_${index}:read`
+).join(',')
+const requested = Array.from({ length: checksPerRequest }, (_, index) => {
+  const claimIndex = claimsCount - 1 - index * 7
+  return `service_${claimIndex % 50}:resource_${claimIndex}:read`
+})
+
+/** Parses scope and scans it for every requested permission on each request. */
+const uncached = () => {
+  const grantedScope = utils.parseGrantedScope(scope, ',', '[a-zA-Z0-9_]', ':')
+  for (const permission of requested) {
+    const claim = utils.factoryArgv([permission], '[a-zA-Z0-9_]', ':')[0]
+    grantedScope.find(granted => utils.matchClaim(granted, claim))
+  }
+}
+
+const checker = createChecker()
+/** Checks the token and calls `allowed()` for every requested permission. */
+const compiled = async () => {
+  const { permissions } = await checker.check({ scope }, requested[0])
+  for (const permission of requested) {
+    await permissions.allowed(permission)
+  }
+}
+
+const measure = async (name, run) => {
+  await run()
+  const startTime = process.hrtime.bigint()
+  for (let index = 0; index < iterations; index++) {
+    await run()
+  }
+  const duration = Number(process.hrtime.bigint() - startTime) / 1e6
+  console.log(
+    `${name.padEnd(28)} ${(duration / iterations).toFixed(4)} ms/request`
+  )
+  return duration
+}
+
+const main = async () => {
+  console.log(
+    `${iterations} requests, ${claimsCount} granted claims, ${checksPerRequest} checks per request`
+  )
+  const before = await measure('linear scan, no cache', uncached)
+  const after = await measure('scope index, caches', compiled)
+  console.log(`speedup: ${(before / after).toFixed(1)}x`)
+}
+
+main()
@@ -0,0 +1,1413 @@
+'use strict'
+
+const get = require('lodash.get')
+const condition = require('./condition')
+const errors = require('./errors')
+const expression = require('./expression')
+const policies = require('./policy')
+const utils = require('./utils')
+
+const { ExpressJwtScopeError, ForbiddenError, TenantError, UnauthorizedError } =
+  errors
+
+/**
+ * Attaches serializable description to the checker function, and `sync`
+ * implementation if the rule can be evaluated synchronously.
+ */
+const describedRule = (description, rule, sync) =>
+  Object.assign(rule, { description }, sync ? { sync } : {})
+
+/** Returns `sync` implementation if every rule has one. */
+const syncRules = (rules, sync) =>
+  rules.every(rule => rule.sync) ? sync : undefined
+
+/** Returns serializable description of the checker function. */
+const describeRule = rule => rule.description || { type: 'callback' }
+
+/** Appends decision `node` to the `trace` list, if tracing is enabled. */
+const traceNode = (trace, node) => {
+  if (!trace) {
+    return undefined
+  }
+  trace.push(node)
+  return node
+}
+
+/** Sets result of the decision `node`, if tracing is enabled. */
+const traceResult = (node, result) => {
+  if (node) {
+    node.result = result
+  }
+  return result
+}
+
+/** Appends descriptions of the rules skipped by reducer to the `node`. */
+const traceSkipped = (node, rules) => {
+  if (node) {
+    node.rules.push(
+      ...rules.map(rule =>
+        Object.assign({}, describeRule(rule), { skipped: true })
+      )
+    )
+  }
+}
+
+/** Checks that access token has admin claim and it's set to `true`. */
+const adminRule = path =>
+  describedRule({ type: 'admin', key: path }, async (_, helpers, trace) => {
+    const adminClaim = get(helpers.token, path, undefined)
+    helpers.isAdmin = adminClaim === true || adminClaim === 1
+    traceNode(trace, { type: 'admin', key: path, result: helpers.isAdmin })
+    return helpers.isAdmin
+  })
+
+/** Custom admin claim checker. */
+const userAdminRule = callable =>
+  describedRule(
+    { type: 'admin', name: callable.name || undefined },
+    async (grantedScope, helpers, trace) => {
+      const result = await callable(
+        utils.deepCopy(grantedScope),
+        Object.assign({}, helpers, { token: utils.deepCopy(helpers.token) })
+      )
+      helpers.isAdmin = result === true
+      traceNode(trace, {
+        type: 'admin',
+        name: callable.name || undefined,
+        result: helpers.isAdmin
+      })
+      return helpers.isAdmin
+    }
+  )
+
+/** Invokes `callable` with copies of recieved arguments. */
+const userRule = callable =>
+  describedRule(
+    { type: 'callback', name: callable.name || undefined },
+    async (grantedScope, helpers, trace) => {
+      const result =
+        (await callable(
+          utils.deepCopy(grantedScope),
+          Object.assign({}, helpers, { token: utils.deepCopy(helpers.token) })
+        )) === true
+      traceNode(trace, {
+        type: 'callback',
+        name: callable.name || undefined,
+        result
+      })
+      return result
+    }
+  )
+
+/** Checks `grantedScope` for `requested` permission. */
+const inGrantedRule = (requested, claimScopeDelimiter) => {
+  const permission = requested.join(claimScopeDelimiter)
+  return describedRule(
+    { type: 'permission', permission },
+    async (grantedScope, _, trace) => {
+      const matched = utils.scopeIndex(grantedScope).match(requested)
+      traceNode(trace, {
+        type: 'permission',
+        permission,
+        matched: matched && matched.join(claimScopeDelimiter),
+        result: matched !== undefined
+      })
+      return matched !== undefined
+    },
+    grantedScope =>
+      utils.scopeIndex(grantedScope).match(requested) !== undefined
+  )
+}
+
+/** Checks `grantedScope` for `requested` permission with values from `req`. */
+const inGrantedTemplateRule = (
+  requested,
+  claimCharset,
+  claimScopeDelimiter
+) => {
+  const permission = requested.join(claimScopeDelimiter)
+  const valueRegex = new RegExp(`^${claimCharset}+$`)
+  const match = (grantedScope, req) => {
+    const resolved = utils.resolveTemplate(requested, req, valueRegex)
+    return [
+      resolved,
+      resolved && utils.scopeIndex(grantedScope).match(resolved)
+    ]
+  }
+  return describedRule(
+    { type: 'permission', permission },
+    async (grantedScope, helpers, trace) => {
+      const [resolved, matched] = match(grantedScope, helpers.req)
+      traceNode(trace, {
+        type: 'permission',
+        permission,
+        resolved: resolved ? resolved.join(claimScopeDelimiter) : null,
+        matched: matched ? matched.join(claimScopeDelimiter) : undefined,
+        result: !!matched
+      })
+      return !!matched
+    },
+    (grantedScope, helpers) => !!match(grantedScope, helpers.req)[1]
+  )
+}
+
+/**
+ * Checks that token and request fields satisfy normalized `conditions`. Trace
+ * node reports field of the failed condition, not the compared values.
+ */
+const conditionRule = conditions => {
+  const failedCondition = helpers =>
+    condition.failedCondition(conditions, {
+      token: helpers.token,
+      req: helpers.req
+    })
+  return describedRule(
+    { type: 'condition', conditions },
+    async (_, helpers, trace) => {
+      const failed = failedCondition(helpers)
+      traceNode(trace, {
+        type: 'condition',
+        conditions,
+        failed,
+        result: failed === undefined
+      })
+      return failed === undefined
+    },
+    (_, helpers) => failedCondition(helpers) === undefined
+  )
+}
+
+/** Negates return of `rule` function. */
+const notRule = rule =>
+  describedRule(
+    { type: 'not', rule: describeRule(rule) },
+    async (grantedScope, helpers, trace) => {
+      const node = traceNode(trace, { type: 'not', result: undefined })
+      const operand = node ? [] : undefined
+      const result = !(await rule(grantedScope, helpers, operand))
+      if (node) {
+        node.rule = operand[0]
+      }
+      return traceResult(node, result)
+    },
+    syncRules(
+      [rule],
+      (grantedScope, helpers) => !rule.sync(grantedScope, helpers)
+    )
+  )
+
+/** Reduces `rules` return values using `&&` operator. */
+const andReducer = (...rules) =>
+  describedRule(
+    { type: 'all', rules: rules.map(describeRule) },
+    async (grantedScope, helpers, trace) => {
+      const node = traceNode(trace, {
+        type: 'all',
+        result: undefined,
+        rules: []
+      })
+      for (const [index, rule] of rules.entries()) {
+        if (!(await rule(grantedScope, helpers, node && node.rules))) {
+          traceSkipped(node, rules.slice(index + 1))
+          return traceResult(node, false)
+        }
+      }
+
+      return traceResult(node, true)
+    },
+    syncRules(rules, (grantedScope, helpers) =>
+      rules.every(rule => rule.sync(grantedScope, helpers))
+    )
+  )
+
+/** Reduces `rules` return values using `||` operator. */
+const orReducer = (...rules) =>
+  describedRule(
+    { type: 'any', rules: rules.map(describeRule) },
+    async (grantedScope, helpers, trace) => {
+      const node = traceNode(trace, {
+        type: 'any',
+        result: undefined,
+        rules: []
+      })
+      for (const [index, rule] of rules.entries()) {
+        if (await rule(grantedScope, helpers, node && node.rules)) {
+          traceSkipped(node, rules.slice(index + 1))
+          return traceResult(node, true)
+        }
+      }
+
+      return traceResult(node, false)
+    },
+    syncRules(rules, (grantedScope, helpers) =>
+      rules.some(rule => rule.sync(grantedScope, helpers))
+    )
+  )
+
+/**
+ * Selects checker function from `methodRules` by the request method. Requests
+ * with methods missing in the map are denied.
+ */
+const methodRule = (name, methodRules) => {
+  const methods = {}
+  for (const [method, rule] of Object.entries(methodRules)) {
+    methods[method] = describeRule(rule)
+  }
+
+  return describedRule(
+    { type: 'resource', name, methods },
+    async (grantedScope, helpers, trace) => {
+      const method = String(get(helpers.req, 'method', '')).toUpperCase()
+      const rule = Object.prototype.hasOwnProperty.call(methodRules, method)
+        ? methodRules[method]
+        : undefined
+      const node = traceNode(trace, {
+        type: 'resource',
+        name,
+        method,
+        result: undefined
+      })
+      const operand = node ? [] : undefined
+      const result = rule ? await rule(grantedScope, helpers, operand) : false
+      if (node && rule) {
+        node.rule = operand[0]
+      }
+      return traceResult(node, result)
+    }
+  )
+}
+
+/** Returns path of the request without query string. */
+const requestPath = req =>
+  req.path !== undefined ? req.path : (req.url || '/').split('?')[0]
+
+/**
+ * Returns first of the compiled `routes` that matches the request method and
+ * path with its route parameters, or `undefined`.
+ */
+const matchedRoute = (routes, req) => {
+  const method = String(get(req, 'method', '')).toUpperCase()
+  const path = requestPath(req || {})
+  for (const route of routes) {
+    const params = utils.matchRoute(route.pattern, method, path)
+    if (params) {
+      return { route, params }
+    }
+  }
+  return undefined
+}
+
+/** Denies requests that match no route of the route map. */
+const unmatchedRule = describedRule(
+  { type: 'callback', name: 'unmatched' },
+  async (_, __, trace) => {
+    traceNode(trace, { type: 'callback', name: 'unmatched', result: false })
+    return false
+  },
+  () => false
+)
+
+/**
+ * Selects checker function of the first route that matches the request and
+ * merges route parameters into `req.params`. Unmatched requests are checked
+ * by `unmatchedRule`.
+ */
+const routeMapRule = (routes, unmatched, unmatchedRule) => {
+  const descriptions = {}
+  for (const { route, rule } of routes) {
+    descriptions[route] = describeRule(rule)
+  }
+
+  return describedRule(
+    { type: 'routes', routes: descriptions, unmatched },
+    async (grantedScope, helpers, trace) => {
+      const matched = matchedRoute(routes, helpers.req)
+      if (matched) {
+        helpers.req.params = Object.assign(
+          {},
+          helpers.req.params,
+          matched.params
+        )
+      }
+      const node = traceNode(trace, {
+        type: 'routes',
+        route: matched ? matched.route.route : undefined,
+        result: undefined
+      })
+      const operand = node ? [] : undefined
+      const result = await (matched ? matched.route.rule : unmatchedRule)(
+        grantedScope,
+        helpers,
+        operand
+      )
+      if (node && operand.length) {
+        node.rule = operand[0]
+      }
+      return traceResult(node, result)
+    }
+  )
+}
+
+/** Creates `ForbiddenError` with non-enumerable decision trace attached. */
+const forbiddenError = trace => {
+  const error = new ForbiddenError()
+  if (trace) {
+    Object.defineProperty(error, 'trace', { value: trace })
+  }
+  return error
+}
+
+/**
+ * Returns list of permissions that may satisfy rule description. Negated and
+ * parametrized permissions are omitted. Resource and route map rules request
+ * permissions of the method or route that matches `req`.
+ */
+const requestedScope = (description, req) => {
+  switch (description.type) {
+    case 'all':
+    case 'any':
+      return [
+        ...new Set(description.rules.flatMap(rule => requestedScope(rule, req)))
+      ]
+    case 'routes': {
+      const routes = Object.keys(description.routes).map(route => ({
+        route,
+        pattern: utils.routePattern(route)
+      }))
+      const matched = req && matchedRoute(routes, req)
+      return matched
+        ? requestedScope(description.routes[matched.route.route], req)
+        : []
+    }
+    case 'resource': {
+      const method = String(get(req, 'method', '')).toUpperCase()
+      return Object.prototype.hasOwnProperty.call(description.methods, method)
+        ? requestedScope(description.methods[method], req)
+        : []
+    }
+    case 'permission':
+      return description.permission.includes('{')
+        ? []
+        : [description.permission]
+    default:
+      return []
+  }
+}
+
+/** Attaches policy `name` to description of the checker function. */
+const namedRule = (name, rule) =>
+  describedRule(
+    Object.assign({}, describeRule(rule), { name }),
+    (grantedScope, helpers, trace) => rule(grantedScope, helpers, trace),
+    rule.sync
+  )
+
+/** Returns serializable permission requirement of the checker function. */
+const permissionRequirement = accessChecker => {
+  const rule = describeRule(accessChecker)
+  return { expression: expression.stringify(rule), rule }
+}
+
+/** Checker function of every request handler produced by framework adapters. */
+const handlerCheckers = new WeakMap()
+
+/**
+ * Returns permission requirement of the request `handler` produced by any
+ * factory function, or `undefined` for other handlers.
+ */
+const describeHandler = handler => {
+  const accessChecker = handlerCheckers.get(handler)
+  return accessChecker && permissionRequirement(accessChecker)
+}
+
+/**
+ * Creates framework-agnostic permission checker. Checker compiles requested
+ * permissions into rule functions and evaluates them against the access token.
+ */
+function createChecker(options) {
+  const config = utils.moduleArgv(options)
+  const {
+    adminKey,
+    bearerChallenge,
+    cacheSize,
+    claimCharset,
+    claimDelimiter,
+    claimScopeDelimiter,
+    credentialsRequired,
+    implies,
+    invalidScope,
+    mode,
+    onDecision,
+    onWarning,
+    resolveScope,
+    roles,
+    rolesKey,
+    scopeSources,
+    segmentGlob,
+    subjectKey,
+    tenant,
+    trace,
+    vocabulary
+  } = config
+
+  const grantedClaimRegex = utils.grantedClaimRegExp(
+    claimCharset,
+    claimScopeDelimiter,
+    segmentGlob
+  )
+  const scopeCache = utils.lruCache(cacheSize)
+  const ruleCache = utils.lruCache(cacheSize)
+  const resolverCache = resolveScope
+    ? utils.lruCache(cacheSize, resolveScope.ttl)
+    : null
+  const pendingScopes = new Map()
+  const mergedScopes = new WeakMap()
+  const tenantScopes = new WeakMap()
+  const roleScopes = new WeakMap()
+  const policyRules = new WeakMap()
+  const factoryCheckers = new WeakSet()
+
+  /**
+   * Passes `warning` to `onWarning` hook. Without the hook warning is reported
+   * with `process.emitWarning()`.
+   */
+  const warn = warning => {
+    try {
+      if (onWarning) {
+        onWarning(warning)
+      } else if (warning.error) {
+        process.emitWarning(warning.error)
+      } else {
+        process.emitWarning(warning.message, 'ExpressJwtScopeWarning')
+      }
+    } catch (error) {
+      process.emitWarning(error)
+    }
+  }
+
+  /**
+   * Checks that granted `claim` is in the vocabulary. Namespace scope of the
+   * tenant permissions is skipped, namespace alone grants tenant access.
+   */
+  const grantedInVocabulary = claim =>
+    utils.grantedInVocabulary(vocabulary, claim) ||
+    (tenant !== null &&
+      tenant.isNamespace(claim[0]) &&
+      (claim.length === 1 ||
+        utils.grantedInVocabulary(vocabulary, claim.slice(1))))
+
+  /**
+   * Returns permissions of the scope source, or `null` if malformed. Malformed
+   * source is skipped with a warning if `invalidScope` is set to `skip`.
+   */
+  const sourceScopeParser = (source, scope) => {
+    const sourceScope = utils.splitGrantedScope(
+      scope,
+      source.delimiter,
+      claimScopeDelimiter,
+      grantedClaimRegex
+    )
+    if (!sourceScope) {
+      if (invalidScope === 'skip') {
+        warn({
+          type: 'scope_skipped',
+          message: `Skipped malformed granted permissions at '${source.path}'`,
+          path: source.path
+        })
+        return []
+      }
+      return null
+    }
+
+    const unknownScope = vocabulary
+      ? sourceScope.filter(claim => !grantedInVocabulary(claim))
+      : []
+    if (unknownScope.length) {
+      const permissions = unknownScope.map(claim =>
+        claim.join(claimScopeDelimiter)
+      )
+      warn({
+        type: 'unknown_permission',
+        message: `Unknown granted permissions at '${source.path}': ${permissions
+          .map(permission => `'${permission}'`)
+          .join(', ')}`,
+        path: source.path,
+        permissions
+      })
+    }
+
+    return source.prefix
+      ? sourceScope.map(claim => source.prefix.concat(claim))
+      : sourceScope
+  }
+
+  /**
+   * Returns permissions granted by scope and roles claims, or `null` if
+   * malformed. With `tenant` option roles and implications apply to the
+   * tenant permissions, so role permissions are kept aside.
+   */
+  const grantedScopeParser = (scopes, roleClaim) => {
+    const outputScope = []
+    for (const [index, source] of scopeSources.entries()) {
+      const sourceScope = sourceScopeParser(source, scopes[index])
+      if (!sourceScope) {
+        return null
+      }
+      outputScope.push(...sourceScope)
+    }
+
+    const roleScope = roles
+      ? utils.parseGrantedRoles(roleClaim, claimDelimiter, roles)
+      : []
+    if (!roleScope) {
+      return null
+    }
+
+    if (tenant) {
+      roleScopes.set(outputScope, roleScope)
+      return outputScope
+    }
+    outputScope.push(...roleScope)
+    return implies ? utils.impliedScope(outputScope, implies) : outputScope
+  }
+
+  /**
+   * Returns permissions granted to the access token, or `null` if malformed.
+   * Parsed scope is cached by the raw values of scope and roles claims.
+   */
+  const grantedScopeReader = token => {
+    const scopes = scopeSources.map(source =>
+      get(token, source.path, undefined)
+    )
+    const roleClaim = roles ? get(token, rolesKey, undefined) : undefined
+    const cacheable = claim =>
+      claim === undefined ||
+      utils.isString(claim) ||
+      (Array.isArray(claim) && claim.every(utils.isString))
+    if (!scopes.every(cacheable) || !cacheable(roleClaim)) {
+      return grantedScopeParser(scopes, roleClaim)
+    }
+
+    const key = JSON.stringify([scopes, roleClaim])
+    if (scopeCache.has(key)) {
+      return scopeCache.get(key)
+    }
+    const grantedScope = grantedScopeParser(scopes, roleClaim)
+    scopeCache.set(key, grantedScope)
+    return grantedScope
+  }
+
+  /**
+   * Returns cache key of permissions resolved for the access token, or
+   * `undefined` if the token lacks key fields.
+   */
+  const resolverCacheKey = token => {
+    const { cacheKey } = resolveScope
+    const values = utils.isFunction(cacheKey)
+      ? [cacheKey(token)]
+      : cacheKey.map(path => get(token, path, undefined))
+    return values.every(value => value !== undefined && value !== null)
+      ? JSON.stringify(values)
+      : undefined
+  }
+
+  /** Calls `resolveScope` hook, rejects if it does not settle in `timeout`. */
+  const resolveWithTimeout = (token, req) => {
+    let timer
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () =>
+          reject(
+            new ExpressJwtScopeError(
+              `resolveScope timed out after ${resolveScope.timeout}ms`
+            )
+          ),
+        resolveScope.timeout
+      )
+    })
+    const resolved = Promise.resolve().then(() =>
+      resolveScope.resolve(utils.deepCopy(token), req)
+    )
+    return Promise.race([resolved, timeout]).finally(() => clearTimeout(timer))
+  }
+
+  /**
+   * Returns permissions resolved for the access token, or `null` if malformed.
+   * Resolved permissions are cached by `cacheKey` and concurrent calls with
+   * the same key share single `resolveScope` call.
+   */
+  const resolvedScopeReader = (token, req) => {
+    const key = resolverCacheKey(token)
+    if (key !== undefined && resolverCache.has(key)) {
+      return Promise.resolve(resolverCache.get(key))
+    } else if (key !== undefined && pendingScopes.has(key)) {
+      return pendingScopes.get(key)
+    }
+
+    const pending = resolveWithTimeout(token, req).then(scope => {
+      const resolvedScope = sourceScopeParser(
+        { path: 'resolveScope', delimiter: claimDelimiter },
+        scope
+      )
+      const outputScope =
+        resolvedScope && implies
+          ? utils.impliedScope(resolvedScope, implies)
+          : resolvedScope
+      if (key !== undefined) {
+        resolverCache.set(key, outputScope)
+      }
+      return outputScope
+    })
+    if (key === undefined) {
+      return pending
+    }
+
+    pendingScopes.set(key, pending)
+    return pending.finally(() => pendingScopes.delete(key))
+  }
+
+  /** Returns union of token and resolved permissions, built once per pair. */
+  const mergeScopes = (grantedScope, resolvedScope) => {
+    if (!mergedScopes.has(grantedScope)) {
+      mergedScopes.set(grantedScope, new WeakMap())
+    }
+    const merged = mergedScopes.get(grantedScope)
+    if (!merged.has(resolvedScope)) {
+      merged.set(resolvedScope, grantedScope.concat(resolvedScope))
+    }
+    return merged.get(resolvedScope)
+  }
+
+  /**
+   * Resolves tenant of the request, returns its namespace scope or `undefined`
+   * if tenant is missing, invalid or resolver failed.
+   */
+  const tenantReader = async (req, token) => {
+    try {
+      const value = await tenant.resolve(req, token)
+      if (!(utils.isString(value) || Number.isFinite(value))) {
+        return undefined
+      }
+      return tenant.namespace(String(value)) ? String(value) : undefined
+    } catch (error) {
+      warn({ type: 'tenant_unresolved', message: String(error), error })
+      return undefined
+    }
+  }
+
+  /**
+   * Returns granted permissions of the tenant with role permissions, which are
+   * granted in every tenant, and implied permissions. Built once per pair.
+   */
+  const tenantGrantedScope = (grantedScope, roleScope, value) => {
+    if (!tenantScopes.has(grantedScope)) {
+      tenantScopes.set(grantedScope, new Map())
+    }
+    const scopes = tenantScopes.get(grantedScope)
+    if (!scopes.has(value)) {
+      const namespaceScope = utils.tenantScope(
+        grantedScope,
+        tenant.namespace(value),
+        tenant.global,
+        tenant.explicit
+      )
+      const outputScope =
+        namespaceScope || roleScope.length
+          ? (namespaceScope || []).concat(roleScope)
+          : null
+      scopes.set(
+        value,
+        outputScope && implies
+          ? utils.impliedScope(outputScope, implies)
+          : outputScope
+      )
+    }
+    return scopes.get(value)
+  }
+
+  /** Throws if requested permission is missing in the vocabulary. */
+  const vocabularyGuard = claim => {
+    if (!vocabulary || utils.inVocabulary(vocabulary, claim)) {
+      return
+    }
+
+    const permission = claim.join(claimScopeDelimiter)
+    const suggestions = utils.suggestPermissions(vocabulary, permission)
+    throw new ExpressJwtScopeError(
+      `Unknown permission '${permission}'` +
+        (suggestions.length
+          ? `, did you mean ${suggestions
+              .map(suggestion => `'${suggestion}'`)
+              .join(', ')}?`
+          : '')
+    )
+  }
+
+  /** Creates checker function from requested permission. */
+  const ruleBuilder = claim => {
+    if (utils.isFunction(claim)) {
+      return userRule(claim)
+    } else if (policies.isPolicy(claim)) {
+      return policyRuleBuilder(claim)
+    }
+
+    vocabularyGuard(claim)
+    if (utils.isTemplate(claim)) {
+      return inGrantedTemplateRule(claim, claimCharset, claimScopeDelimiter)
+    } else {
+      return inGrantedRule(claim, claimScopeDelimiter)
+    }
+  }
+
+  /** Creates checker function from list of requested permissions. */
+  const ruleQueueBuilder = claims => {
+    const queue = utils
+      .factoryArgv(claims, claimCharset, claimScopeDelimiter)
+      .map(ruleBuilder)
+    return queue.length === 1 ? queue[0] : andReducer(...queue)
+  }
+
+  /** Creates checker function from the policy, compiled once per policy. */
+  const policyRuleBuilder = policy => {
+    if (policyRules.has(policy)) {
+      return policyRules.get(policy)
+    } else if (policy.type === 'condition') {
+      const rule = policy.name
+        ? namedRule(policy.name, conditionRule(policy.conditions))
+        : conditionRule(policy.conditions)
+      policyRules.set(policy, rule)
+      return rule
+    }
+
+    const rules = utils
+      .factoryArgv(
+        policies.policyItems(policy),
+        claimCharset,
+        claimScopeDelimiter
+      )
+      .map(ruleBuilder)
+    const reducer = policy.type === 'all' ? andReducer : orReducer
+    let rule = rules.length === 1 ? rules[0] : reducer(...rules)
+    if (policy.type === 'none') {
+      rule = notRule(rule)
+    }
+    if (policy.name) {
+      rule = namedRule(policy.name, rule)
+    }
+    policyRules.set(policy, rule)
+    return rule
+  }
+
+  /** Creates checker function from permission expression syntax tree. */
+  const expressionRuleBuilder = node => {
+    switch (node.type) {
+      case 'and':
+        return andReducer(...node.operands.map(expressionRuleBuilder))
+      case 'or':
+        return orReducer(...node.operands.map(expressionRuleBuilder))
+      case 'not':
+        return notRule(expressionRuleBuilder(node.operand))
+      default:
+        return ruleBuilder(node.claim)
+    }
+  }
+
+  /** Prepends admin rule to the checker function, if `adminKey` is set. */
+  const adminRuleBuilder = checker => {
+    if (!adminKey) {
+      return checker
+    }
+    const rule = utils.isFunction(adminKey)
+      ? userAdminRule(adminKey)
+      : adminRule(adminKey)
+    return checker ? orReducer(rule, checker) : rule
+  }
+
+  /** Attaches `WWW-Authenticate` header to the error, if `bearerChallenge` is set. */
+  const challengeError = (error, accessChecker, req, params) => {
+    if (bearerChallenge) {
+      const scope = requestedScope(describeRule(accessChecker), req)
+      error.headers = {
+        'WWW-Authenticate': utils.bearerChallenge(
+          Object.assign({ realm: bearerChallenge.realm }, params, {
+            scope: scope.length ? scope.join(' ') : undefined
+          })
+        )
+      }
+    }
+    return error
+  }
+
+  /** Passes authorization decision to `onDecision` hook without awaiting it. */
+  const decisionEmitter = (helpers, info, startTime, fields) => {
+    if (!onDecision) {
+      return
+    }
+
+    const event = Object.assign(
+      {
+        subject: get(helpers.token, subjectKey, undefined),
+        isAdmin: helpers.isAdmin === true
+      },
+      info,
+      {
+        timestamp: new Date(),
+        duration: Number(process.hrtime.bigint() - startTime) / 1e6
+      },
+      fields
+    )
+    Promise.resolve()
+      .then(() => onDecision(event))
+      .catch(error =>
+        warn({ type: 'hook_failed', message: String(error), error })
+      )
+  }
+
+  /** Checks that admin rule granted access to the request. */
+  const isAdminRule = describedRule(
+    { type: 'admin' },
+    async (_, helpers) => helpers.isAdmin === true
+  )
+
+  /** Returns checker function created by `build`, compiled once per `key`. */
+  const cachedRule = (key, build) => {
+    if (ruleCache.has(key)) {
+      return ruleCache.get(key)
+    }
+    const rule = build()
+    ruleCache.set(key, rule)
+    return rule
+  }
+
+  /** Returns checker function of the request method for `permission`. */
+  const permissionRule = (source, permission) => {
+    const build = () =>
+      source === 'allowed'
+        ? orReducer(isAdminRule, ruleQueueBuilder([permission]))
+        : ruleQueueBuilder([permission])
+    return utils.isString(permission)
+      ? cachedRule(`${source}:${permission}`, build)
+      : build()
+  }
+
+  /** Splits permission `name` or `action` of the granted scope query. */
+  const scopeQueryArgv = (argument, value) => {
+    if (!utils.isString(value)) {
+      throw new TypeError(`${argument} expected a string, got '${value}'`)
+    }
+    const claim = utils.factoryArgv(
+      [value],
+      claimCharset,
+      claimScopeDelimiter
+    )[0]
+    if (utils.isTemplate(claim)) {
+      throw new ExpressJwtScopeError(
+        `${argument} can't contain placeholders, got '${value}'`
+      )
+    }
+    return claim
+  }
+
+  /**
+   * Creates set of permission verification methods attached to the request.
+   * `softDenied` flags request allowed only due to `report-only` mode.
+   */
+  const permissionsBuilder = (
+    grantedScope,
+    helpers,
+    info,
+    decision,
+    softDenied
+  ) => {
+    const check = async (source, permission) => {
+      const startTime = process.hrtime.bigint()
+      const rule = permissionRule(source, permission)
+      const result = await rule(grantedScope, helpers)
+      decisionEmitter(helpers, info, startTime, {
+        source,
+        permission: expression.stringify(describeRule(rule)),
+        reason: 'evaluated',
+        result
+      })
+      return result
+    }
+
+    /** Evaluates permission string or policy without custom checkers. */
+    const checkSync = permission => {
+      if (utils.isFunction(permission)) {
+        throw new TypeError(
+          'Synchronous check expected a permission string or policy, got function'
+        )
+      }
+      const startTime = process.hrtime.bigint()
+      const rule = permissionRule('hasPermission', permission)
+      if (!rule.sync) {
+        throw new TypeError(
+          "Synchronous check can't evaluate custom checker functions of the policy"
+        )
+      }
+      const result = rule.sync(grantedScope, helpers)
+      decisionEmitter(helpers, info, startTime, {
+        source: 'hasPermission',
+        permission: expression.stringify(describeRule(rule)),
+        reason: 'evaluated',
+        result
+      })
+      return result
+    }
+
+    /** Evaluates every permission of the batch check in one pass. */
+    const permissionList = permissions => {
+      if (!Array.isArray(permissions)) {
+        throw new TypeError(
+          `Expected list of permissions, got '${permissions}'`
+        )
+      }
+      return permissions.map(checkSync)
+    }
+
+    return {
+      allowed(permission) {
+        return check('allowed', permission)
+      },
+      check(permissions) {
+        if (!utils.isPlainObject(permissions)) {
+          throw new TypeError(
+            `Expected map of permissions, got '${permissions}'`
+          )
+        }
+        const output = {}
+        for (const [key, permission] of Object.entries(permissions)) {
+          output[key] = checkSync(permission)
+        }
+        return output
+      },
+      explain() {
+        return decision
+      },
+      isAdmin() {
+        return helpers.isAdmin === true
+      },
+      isSoftDenied() {
+        return softDenied
+      },
+      hasAll(permissions) {
+        return permissionList(permissions).every(Boolean)
+      },
+      hasAny(permissions) {
+        return permissionList(permissions).some(Boolean)
+      },
+      hasPermission(permission) {
+        return check('hasPermission', permission)
+      },
+      hasPermissionSync(permission) {
+        return checkSync(permission)
+      },
+      list() {
+        return grantedScope.map(claim => claim.join(claimScopeDelimiter))
+      },
+      scopesFor(name, options) {
+        const { action } = options || {}
+        return utils.grantedValues(
+          grantedScope,
+          scopeQueryArgv('name', name),
+          action === undefined ? [] : scopeQueryArgv('action', action)
+        )
+      }
+    }
+  }
+
+  /** Reports denied decision of the request allowed in `report-only` mode. */
+  const reportDenied = (helpers, info, permission, reason, grantedScope) => {
+    const scope = (grantedScope || []).map(claim =>
+      claim.join(claimScopeDelimiter)
+    )
+    warn(
+      Object.assign(
+        {
+          type: 'would_deny',
+          message: `Would deny '${permission}' (${reason})`,
+          subject: get(helpers.token, subjectKey, undefined)
+        },
+        info,
+        { permission, reason, grantedScope: scope }
+      )
+    )
+  }
+
+  /**
+   * Evaluates `accessChecker` against the access token. `req` is a request
+   * object passed to custom checkers, `info` describes the request in
+   * decision events. Decision denied by evaluated permissions allows access
+   * with a `would_deny` warning if `enforcement` mode is `report-only`.
+   */
+  const evaluate = async (
+    accessChecker,
+    token,
+    req,
+    info,
+    enforcement = mode
+  ) => {
+    const startTime = process.hrtime.bigint()
+    const helpers = {
+      req,
+      isAdmin: undefined,
+      tenant: undefined,
+      token
+    }
+    info = Object.assign({ source: 'middleware' }, info)
+    const decide = (reason, allowed, decision, grantedScope) => {
+      const permission = expression.stringify(describeRule(accessChecker))
+      const softDenied =
+        !allowed && reason === 'evaluated' && enforcement === 'report-only'
+      decisionEmitter(helpers, info, startTime, {
+        source: info.source,
+        permission,
+        reason,
+        result: allowed
+      })
+      if (softDenied) {
+        reportDenied(helpers, info, permission, reason, grantedScope)
+      }
+      return {
+        allowed: allowed || softDenied,
+        softDenied,
+        reason,
+        isAdmin: helpers.isAdmin === true,
+        tenant: helpers.tenant,
+        trace: decision,
+        permissions:
+          allowed || softDenied
+            ? permissionsBuilder(
+                grantedScope || [],
+                helpers,
+                info,
+                decision,
+                softDenied
+              )
+            : null
+      }
+    }
+
+    if (!token) {
+      return decide('token_missing', !credentialsRequired, null, [])
+    }
+
+    let grantedScope = grantedScopeReader(token)
+    if (!grantedScope) {
+      return decide('scope_invalid', false, null, null)
+    }
+    const roleScope = tenant ? roleScopes.get(grantedScope) : undefined
+    if (resolveScope) {
+      const resolvedScope = await resolvedScopeReader(token, req).catch(
+        error => {
+          warn({ type: 'scope_unresolved', message: String(error), error })
+          return null
+        }
+      )
+      if (!resolvedScope) {
+        return decide('scope_unresolved', false, null, grantedScope)
+      }
+      grantedScope = mergeScopes(grantedScope, resolvedScope)
+    }
+    if (tenant) {
+      helpers.tenant = await tenantReader(req, token)
+      if (helpers.tenant === undefined) {
+        return decide('tenant_missing', false, null, [])
+      }
+      grantedScope = tenantGrantedScope(grantedScope, roleScope, helpers.tenant)
+      if (!grantedScope) {
+        return decide('tenant_denied', false, null, [])
+      }
+    }
+
+    const decisionTrace = trace ? [] : undefined
+    const result = await accessChecker(grantedScope, helpers, decisionTrace)
+    const decision = decisionTrace
+      ? {
+          result,
+          adminShortCircuit: result && helpers.isAdmin === true,
+          rule: decisionTrace[0]
+        }
+      : null
+
+    return decide('evaluated', result, decision, grantedScope)
+  }
+
+  /**
+   * Returns error that describes denied `decision`, or `null` if allowed.
+   * `req` selects requested permissions of the bearer challenge.
+   */
+  const decisionError = (decision, accessChecker, req) => {
+    if (decision.allowed) {
+      return null
+    } else if (decision.reason === 'token_missing') {
+      return challengeError(
+        new UnauthorizedError('No authorization token was found'),
+        accessChecker,
+        req
+      )
+    } else if (decision.reason === 'scope_invalid') {
+      return challengeError(
+        new ForbiddenError('Fail to read granted permissions'),
+        accessChecker,
+        req,
+        {
+          error: 'invalid_token',
+          error_description: 'Fail to read granted permissions'
+        }
+      )
+    } else if (decision.reason === 'tenant_missing') {
+      return challengeError(
+        new TenantError(
+          'No tenant was found in the request',
+          decision.reason,
+          undefined
+        ),
+        accessChecker,
+        req
+      )
+    } else if (decision.reason === 'tenant_denied') {
+      return challengeError(
+        new TenantError(
+          `No permissions are granted in tenant '${decision.tenant}'`,
+          decision.reason,
+          decision.tenant
+        ),
+        accessChecker,
+        req
+      )
+    } else if (decision.reason === 'scope_unresolved') {
+      return challengeError(
+        new ForbiddenError('Fail to resolve granted permissions'),
+        accessChecker,
+        req
+      )
+    } else {
+      return challengeError(
+        forbiddenError(decision.trace),
+        accessChecker,
+        req,
+        { error: 'insufficient_scope' }
+      )
+    }
+  }
+
+  /** Creates checker function from list of requested permissions. */
+  const rule = (...permissions) =>
+    adminRuleBuilder(
+      adminKey && !permissions.length ? null : ruleQueueBuilder(permissions)
+    )
+
+  /**
+   * Creates checker function that derives requested permission from the
+   * request method, e.g. `GET` requires `name:read`. `options.actions`
+   * overrides method to action map (`null` disables method), and
+   * `options.requires` adds permissions required for the method.
+   */
+  const resource = (name, options) => {
+    const { actions, requires = {} } = options || {}
+    const methodActions = utils.resourceActions(actions)
+    if (!utils.isString(name)) {
+      throw new TypeError(`Resource name expected a string, got '${name}'`)
+    } else if (!utils.isPlainObject(requires)) {
+      throw new TypeError(`requires expected an object, got '${requires}'`)
+    }
+    const unknownMethod = Object.keys(requires).find(
+      method => !Object.prototype.hasOwnProperty.call(methodActions, method)
+    )
+    if (unknownMethod) {
+      throw new ExpressJwtScopeError(
+        `requires has method '${unknownMethod}' without action`
+      )
+    }
+
+    const methodRules = {}
+    for (const [method, action] of Object.entries(methodActions)) {
+      methodRules[method] = ruleQueueBuilder(
+        [`${name}${claimScopeDelimiter}${action}`].concat(
+          requires[method] === undefined ? [] : requires[method]
+        )
+      )
+    }
+
+    return adminRuleBuilder(methodRule(name, methodRules))
+  }
+
+  /** Checker function that grants access to any access token. */
+  const tokenRule = adminRuleBuilder(
+    describedRule({ type: 'callback', name: 'token' }, async () => true)
+  )
+
+  /**
+   * Creates checker function from the map of `'METHOD /path'` route patterns
+   * to permissions, first matching route wins. Unmatched requests are denied
+   * or allowed to any access token, `passthrough` checker is additionally
+   * reported by `accessChecker.passthrough(req)` to skip the check.
+   */
+  const routes = (map, options) => {
+    const { unmatched = 'deny' } = options || {}
+    if (!utils.isPlainObject(map)) {
+      throw new TypeError(`routes expected an object, got '${map}'`)
+    } else if (!['deny', 'allow', 'passthrough'].includes(unmatched)) {
+      throw new TypeError(
+        `unmatched expected 'deny', 'allow' or 'passthrough', got '${unmatched}'`
+      )
+    }
+
+    const compiled = Object.entries(map).map(([route, permissions]) => {
+      try {
+        return {
+          route,
+          pattern: utils.routePattern(route),
+          rule: rule(...[].concat(permissions))
+        }
+      } catch (error) {
+        error.message = `Route '${route}': ${error.message}`
+        throw error
+      }
+    })
+    const accessChecker = routeMapRule(
+      compiled,
+      unmatched,
+      unmatched === 'deny' ? unmatchedRule : tokenRule
+    )
+    if (unmatched === 'passthrough') {
+      accessChecker.passthrough = req => !matchedRoute(compiled, req)
+    }
+    return accessChecker
+  }
+
+  /** Creates checker function from permission expression string. */
+  const expr = source => {
+    expression.assertDelimiter(claimScopeDelimiter)
+    const tree = expression.parse(
+      source,
+      claim => utils.factoryArgv([claim], claimCharset, claimScopeDelimiter)[0]
+    )
+    return adminRuleBuilder(expressionRuleBuilder(tree))
+  }
+
+  /** Validates `policy` against configuration and compiles it. */
+  const compiledPolicy = policy => {
+    policyRuleBuilder(policy)
+    return policy
+  }
+
+  /** Creates policy that requires all of requested permissions. */
+  const all = (...items) => compiledPolicy(policies.createPolicy('all', items))
+
+  /** Creates policy that requires any of requested permissions. */
+  const any = (...items) => compiledPolicy(policies.createPolicy('any', items))
+
+  /** Creates policy that requires none of requested permissions. */
+  const none = (...items) =>
+    compiledPolicy(policies.createPolicy('none', items))
+
+  /** Creates policy that requires token and request fields to satisfy `conditions`. */
+  const where = conditions =>
+    compiledPolicy(policies.createCondition(conditions))
+
+  /** Creates copy of the `policy` with `name` reported in descriptions. */
+  const policy = (name, source) =>
+    compiledPolicy(policies.namedPolicy(name, source))
+
+  /**
+   * Marks request `handler` as produced by the factory. Handlers are held
+   * weakly, so dynamically created handlers don't accumulate.
+   */
+  const register = (handler, accessChecker) => {
+    handlerCheckers.set(handler, accessChecker)
+    factoryCheckers.add(accessChecker)
+    return handler
+  }
+
+  /**
+   * Returns permission requirements of the request `handlers` produced by the
+   * factory, in order, once per checker function.
+   */
+  const registry = handlers => {
+    const checkers = new Set()
+    for (const handler of handlers) {
+      const accessChecker = handlerCheckers.get(handler)
+      if (accessChecker && factoryCheckers.has(accessChecker)) {
+        checkers.add(accessChecker)
+      }
+    }
+
+    return [...checkers].map(permissionRequirement)
+  }
+
+  /**
+   * Registers request `handler` and adds `or()`, `not()`, `where()` and
+   * `mode()` methods to it. Methods don't change the handler, but return new
+   * handler created by `build` from the extended checker function and
+   * enforcement mode.
+   */
+  const chainable = (handler, accessChecker, build, enforcement) => {
+    register(handler, accessChecker)
+
+    handler.or = (...permissions) =>
+      build(
+        orReducer(accessChecker, ruleQueueBuilder(permissions)),
+        enforcement
+      )
+
+    handler.not = (...permissions) =>
+      build(
+        andReducer(accessChecker, notRule(ruleQueueBuilder(permissions))),
+        enforcement
+      )
+
+    handler.where = conditions =>
+      build(
+        andReducer(accessChecker, policyRuleBuilder(where(conditions))),
+        enforcement
+      )
+
+    handler.mode = value => build(accessChecker, utils.enforcementMode(value))
+
+    return handler
+  }
+
+  /**
+   * Checks the access token for permissions described by expression string,
+   * policy or custom checker function. `context.req` is passed to custom
+   * checkers.
+   */
+  const check = (token, permission, context) => {
+    const { req = {}, ...info } = context || {}
+    const accessChecker = utils.isString(permission)
+      ? cachedRule(`check:${permission}`, () => expr(permission))
+      : rule(permission)
+    return evaluate(
+      accessChecker,
+      token,
+      req,
+      Object.assign({ source: 'check' }, info)
+    )
+  }
+
+  return {
+    all,
+    any,
+    chainable,
+    check,
+    config,
+    error: decisionError,
+    evaluate,
+    expr,
+    none,
+    policy,
+    register,
+    registry,
+    resource,
+    routes,
+    rule,
+    tokenRule,
+    where
+  }
+}
+
+module.exports = createChecker
+module.exports.describeHandler = describeHandler
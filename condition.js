@@ -0,0 +1,181 @@
+'use strict'
+
+const get = require('lodash.get')
+const { ExpressJwtScopeError } = require('./errors')
+
+/** Condition operators and their symbols in expressions. */
+const OPERATORS = {
+  $eq: '==',
+  $ne: '!=',
+  $in: 'in',
+  $nin: 'not in',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+}
+
+/** Roots of the fields available to conditions. */
+const fieldRegex = /^(token|req)(\.[\w-]+)+$/
+
+/** Reference to the token or request field, e.g. `$token.sub`. */
+const referenceRegex = /^\$((token|req)(\.[\w-]+)+)$/
+
+const isPlainObject = value =>
+  Object.prototype.toString.call(value) === '[object Object]'
+
+/** Returns `true` if value is a string or a number. */
+const isScalar = value =>
+  typeof value === 'string' || (typeof value === 'number' && !isNaN(value))
+
+/** Validates operand of the condition operator. */
+const operandArgv = (field, operator, operand) => {
+  const valid =
+    operator === '$in' || operator === '$nin'
+      ? (Array.isArray(operand) && operand.every(isScalar)) ||
+        referenceRegex.test(operand)
+      : isScalar(operand) || typeof operand === 'boolean'
+  if (!valid) {
+    throw new ExpressJwtScopeError(
+      `Condition '${field}' has invalid ${operator} operand '${operand}'`
+    )
+  }
+  return Array.isArray(operand) ? Object.freeze(operand.slice()) : operand
+}
+
+/**
+ * Validates and normalizes conditions. Condition maps token or request field
+ * to a value (equality), list of values (membership) or object of operators.
+ * String values like `$token.sub` reference other fields.
+ */
+function conditionArgv(conditions) {
+  if (!isPlainObject(conditions) || !Object.keys(conditions).length) {
+    throw new TypeError(
+      `Conditions expected non-empty object, got '${conditions}'`
+    )
+  }
+
+  const outputConditions = {}
+  for (const [field, condition] of Object.entries(conditions)) {
+    if (!fieldRegex.test(field)) {
+      throw new ExpressJwtScopeError(
+        `Condition field expected 'token.*' or 'req.*' path, got '${field}'`
+      )
+    }
+
+    const operators = isPlainObject(condition)
+      ? condition
+      : Array.isArray(condition)
+      ? { $in: condition }
+      : { $eq: condition }
+    if (!Object.keys(operators).length) {
+      throw new ExpressJwtScopeError(`Condition '${field}' has no operators`)
+    }
+    const outputOperators = {}
+    for (const [operator, operand] of Object.entries(operators)) {
+      if (!OPERATORS[operator]) {
+        throw new ExpressJwtScopeError(
+          `Condition '${field}' has unknown operator '${operator}'`
+        )
+      }
+      outputOperators[operator] = operandArgv(field, operator, operand)
+    }
+    outputConditions[field] = Object.freeze(outputOperators)
+  }
+
+  return Object.freeze(outputConditions)
+}
+
+/** Returns value of the operand, resolving field references. */
+const operandValue = (operand, context) => {
+  const match = typeof operand === 'string' && referenceRegex.exec(operand)
+  return match ? get(context, match[1], undefined) : operand
+}
+
+/**
+ * Compares values. Strings and numbers are equal if they have the same string
+ * form, e.g. `'42'` route parameter equals `42` claim.
+ */
+const equals = (value, other) =>
+  value === other ||
+  (isScalar(value) && isScalar(other) && String(value) === String(other))
+
+/** Compares values as numbers if both are numeric, otherwise as strings. */
+const compare = (value, other) => {
+  if (!(isScalar(value) && isScalar(other))) {
+    return undefined
+  }
+  const [a, b] =
+    value !== '' && other !== '' && !isNaN(value) && !isNaN(other)
+      ? [Number(value), Number(other)]
+      : [String(value), String(other)]
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/** Evaluates single operator. Missing values fail every operator. */
+const applyOperator = (operator, value, operand) => {
+  if (value === undefined || value === null || operand === undefined) {
+    return false
+  }
+
+  switch (operator) {
+    case '$eq':
+      return equals(value, operand)
+    case '$ne':
+      return !equals(value, operand)
+    case '$in':
+      return Array.isArray(operand) && operand.some(item => equals(value, item))
+    case '$nin':
+      return (
+        Array.isArray(operand) && !operand.some(item => equals(value, item))
+      )
+    default: {
+      const order = compare(value, operand)
+      return (
+        order !== undefined &&
+        {
+          $gt: order > 0,
+          $gte: order >= 0,
+          $lt: order < 0,
+          $lte: order <= 0
+        }[operator]
+      )
+    }
+  }
+}
+
+/**
+ * Evaluates normalized `conditions` against `{ token, req }` context. Returns
+ * field of the first failed condition, or `undefined` if all conditions hold.
+ */
+function failedCondition(conditions, context) {
+  return Object.keys(conditions).find(field => {
+    const value = get(context, field, undefined)
+    return !Object.entries(conditions[field]).every(([operator, operand]) =>
+      applyOperator(operator, value, operandValue(operand, context))
+    )
+  })
+}
+
+/** Formats normalized `conditions` in expression-like syntax. */
+function stringifyConditions(conditions) {
+  const operand = value =>
+    typeof value === 'string' && referenceRegex.test(value)
+      ? value
+      : JSON.stringify(value)
+
+  return Object.entries(conditions)
+    .flatMap(([field, operators]) =>
+      Object.entries(operators).map(
+        ([operator, value]) =>
+          `${field} ${OPERATORS[operator]} ${operand(value)}`
+      )
+    )
+    .join(' & ')
+}
+
+module.exports = {
+  conditionArgv,
+  failedCondition,
+  stringifyConditions
+}
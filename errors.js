@@ -0,0 +1,56 @@
+'use strict'
+
+/** Thrown if module or middleware factory received invalid configuration. */
+class ExpressJwtScopeError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = this.constructor.name
+  }
+}
+
+/** Thrown if permission expression can not be parsed. */
+class ExpressionSyntaxError extends ExpressJwtScopeError {
+  constructor(message, expression, column) {
+    super(`${message} at column ${column}`)
+    this.column = column
+    this.expression = expression
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message) {
+    super(message || 'Forbidden')
+    this.name = this.constructor.name
+    this.expose = true
+    this.status = this.statusCode = 403
+  }
+}
+
+/**
+ * Thrown if request has no tenant (`reason` is `tenant_missing`), or access
+ * token has no permissions in the request `tenant` (`tenant_denied`).
+ */
+class TenantError extends ForbiddenError {
+  constructor(message, reason, tenant) {
+    super(message)
+    this.reason = reason
+    this.tenant = tenant
+  }
+}
+
+class UnauthorizedError extends Error {
+  constructor(message = 'Unauthorized') {
+    super(message)
+    this.name = this.constructor.name
+    this.expose = true
+    this.status = this.statusCode = 401
+  }
+}
+
+module.exports = {
+  ExpressJwtScopeError,
+  ExpressionSyntaxError,
+  ForbiddenError,
+  TenantError,
+  UnauthorizedError
+}
@@ -0,0 +1,161 @@
+'use strict'
+
+const { stringifyConditions } = require('./condition')
+const { ExpressJwtScopeError, ExpressionSyntaxError } = require('./errors')
+
+/** Characters reserved by the expression syntax. */
+const OPERATORS = '&|!()'
+
+/** Splits expression string into a list of tokens. */
+function tokenize(source) {
+  const tokens = []
+  let index = 0
+  while (index < source.length) {
+    const char = source[index]
+    if (/\s/.test(char)) {
+      index++
+    } else if (OPERATORS.includes(char)) {
+      tokens.push({ type: char, value: char, column: index + 1 })
+      index++
+    } else {
+      const start = index
+      while (
+        index < source.length &&
+        !/\s/.test(source[index]) &&
+        !OPERATORS.includes(source[index])
+      ) {
+        index++
+      }
+      tokens.push({
+        type: 'claim',
+        value: source.slice(start, index),
+        column: start + 1
+      })
+    }
+  }
+  tokens.push({ type: 'end', value: '', column: source.length + 1 })
+
+  return tokens
+}
+
+/**
+ * Parses boolean permission expression into a syntax tree.
+ * Operators in order of precedence are `!`, `&` and `|`, parentheses are used
+ * for grouping. `parseClaim` validates and converts permission string.
+ */
+function parse(source, parseClaim) {
+  if (typeof source !== 'string' && !(source instanceof String)) {
+    throw new TypeError(`Expression expected to be a string, got '${source}'`)
+  }
+  source = String(source)
+  const tokens = tokenize(source)
+  let position = 0
+
+  const peek = () => tokens[position]
+  const fail = (message, token) => {
+    throw new ExpressionSyntaxError(message, source, token.column)
+  }
+  const unexpected = token =>
+    fail(
+      token.type === 'end'
+        ? 'Unexpected end of expression'
+        : `Unexpected token '${token.value}'`,
+      token
+    )
+
+  const parseOr = () => {
+    const operands = [parseAnd()]
+    while (peek().type === '|') {
+      position++
+      operands.push(parseAnd())
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands }
+  }
+
+  const parseAnd = () => {
+    const operands = [parseUnary()]
+    while (peek().type === '&') {
+      position++
+      operands.push(parseUnary())
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands }
+  }
+
+  const parseUnary = () => {
+    const token = peek()
+    if (token.type === '!') {
+      position++
+      return { type: 'not', operand: parseUnary() }
+    } else if (token.type === '(') {
+      position++
+      const node = parseOr()
+      if (peek().type !== ')') {
+        fail(`Expected ')' to close '(' at column ${token.column}`, peek())
+      }
+      position++
+      return node
+    } else if (token.type === 'claim') {
+      position++
+      try {
+        return { type: 'claim', claim: parseClaim(token.value) }
+      } catch (error) {
+        fail(`Invalid permission '${token.value}'`, token)
+      }
+    }
+
+    return unexpected(token)
+  }
+
+  const tree = parseOr()
+  if (peek().type !== 'end') {
+    unexpected(peek())
+  }
+
+  return tree
+}
+
+/**
+ * Converts rule description into expression string. Rules that can't be
+ * expressed with the syntax (callbacks, admin rule and conditions) are put in `<>`.
+ */
+function stringify(description) {
+  const operand = (node, operators) =>
+    operators.includes(node.type) ? `(${stringify(node)})` : stringify(node)
+
+  switch (description.type) {
+    case 'all':
+      return description.rules.map(node => operand(node, ['any'])).join(' & ')
+    case 'any':
+      return description.rules.map(node => operand(node, [])).join(' | ')
+    case 'not':
+      return `!${operand(description.rule, ['all', 'any'])}`
+    case 'permission':
+      return description.permission
+    case 'admin':
+      return '<admin>'
+    case 'resource':
+      return `<resource:${description.name}>`
+    case 'routes':
+      return '<routes>'
+    case 'condition':
+      return `<${stringifyConditions(description.conditions)}>`
+    default:
+      return `<${description.name || 'callback'}>`
+  }
+}
+
+/** Throws if delimiter character is reserved by the expression syntax. */
+function assertDelimiter(claimScopeDelimiter) {
+  if (OPERATORS.includes(claimScopeDelimiter)) {
+    throw new ExpressJwtScopeError(
+      `claimScopeDelimiter '${claimScopeDelimiter}' is reserved by the expression syntax`
+    )
+  }
+}
+
+module.exports = {
+  assertDelimiter,
+  parse,
+  stringify,
+  tokenize
+}
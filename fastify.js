@@ -0,0 +1,79 @@
+'use strict'
+
+const get = require('lodash.get')
+const createChecker = require('./checker')
+
+/**
+ * Creates a factory function that returns Fastify `preHandler` hook. The
+ * access token is read from the request and permission methods are attached
+ * to the request decorated by `plugin`.
+ */
+function fastifyJwtScope(options) {
+  const checker = createChecker(options)
+  const { requestProperty, tokenKey } = checker.config
+
+  /**
+   * Creates hook that verifies permissions using `accessChecker`,
+   * `enforcement` overrides the configured mode.
+   */
+  const hookBuilder = (accessChecker, enforcement) => {
+    /** Fastify `preHandler` hook. */
+    const preHandler = async request => {
+      const decision = await checker.evaluate(
+        accessChecker,
+        get(request, tokenKey, undefined),
+        request,
+        {
+          method: request.method,
+          path: request.url,
+          route: request.routeOptions
+            ? request.routeOptions.url
+            : request.routerPath
+        },
+        enforcement
+      )
+      if (!decision.allowed) {
+        throw checker.error(decision, accessChecker, request)
+      }
+
+      request[requestProperty] = decision.permissions
+    }
+
+    return checker.chainable(
+      preHandler,
+      accessChecker,
+      hookBuilder,
+      enforcement
+    )
+  }
+
+  /** Factory function. */
+  const hookFactory = (...permissions) =>
+    hookBuilder(checker.rule(...permissions))
+
+  /** Factory function that accepts permission expression string. */
+  hookFactory.expr = source => hookBuilder(checker.expr(source))
+
+  /** Factory function that derives requested permission from request method. */
+  hookFactory.resource = (name, options) =>
+    hookBuilder(checker.resource(name, options))
+
+  /** Immutable policies accepted by the factory and request methods. */
+  const { all, any, none, policy, where } = checker
+  Object.assign(hookFactory, { all, any, none, policy, where })
+
+  /** Fastify plugin that decorates request with `requestProperty`. */
+  hookFactory.plugin = (fastify, _, done) => {
+    if (!fastify.hasRequestDecorator(requestProperty)) {
+      fastify.decorateRequest(requestProperty, null)
+    }
+    done()
+  }
+  // Expose decorator outside of plugin's encapsulation context, as
+  // `fastify-plugin` does.
+  hookFactory.plugin[Symbol.for('skip-override')] = true
+
+  return hookFactory
+}
+
+module.exports = fastifyJwtScope
@@ -0,0 +1,124 @@
+'use strict'
+
+const get = require('lodash.get')
+const createChecker = require('./checker')
+const utils = require('./utils')
+
+/** Mirrors `defaultFieldResolver` from `graphql` package. */
+const defaultFieldResolver = (source, args, context, info) => {
+  if (
+    (typeof source === 'object' && source !== null) ||
+    typeof source === 'function'
+  ) {
+    const property = source[info.fieldName]
+    return typeof property === 'function'
+      ? source[info.fieldName](args, context, info)
+      : property
+  }
+}
+
+/** Returns `requires` argument of the directive applied to schema element. */
+const directiveRequires = (astNode, directiveName) => {
+  const directive =
+    astNode &&
+    (astNode.directives || []).find(node => node.name.value === directiveName)
+  const argument =
+    directive &&
+    directive.arguments.find(node => node.name.value === 'requires')
+  return argument ? argument.value.value : undefined
+}
+
+/**
+ * Creates GraphQL authorization helpers. The access token is read from the
+ * resolver context, denied fields resolve to error with `FORBIDDEN` code.
+ */
+function graphqlJwtScope(options) {
+  const checker = createChecker(options)
+  const { tokenKey } = checker.config
+
+  /** Wraps `resolver` with permission check using `accessChecker`. */
+  const resolverBuilder = (accessChecker, resolver) => {
+    resolver = resolver || defaultFieldResolver
+
+    return async (source, args, context, info) => {
+      const decision = await checker.evaluate(
+        accessChecker,
+        get(context, tokenKey, undefined),
+        { source, args, context, info },
+        {
+          source: 'graphql',
+          route: info ? `${info.parentType.name}.${info.fieldName}` : undefined
+        }
+      )
+      if (!decision.allowed) {
+        const error = checker.error(decision, accessChecker)
+        error.extensions = {
+          code:
+            decision.reason === 'token_missing'
+              ? 'UNAUTHENTICATED'
+              : 'FORBIDDEN'
+        }
+        throw error
+      }
+
+      return resolver(source, args, context, info)
+    }
+  }
+
+  /**
+   * Wraps `resolver` with permission check. Permission is an expression
+   * string, policy or custom checker function.
+   */
+  const withScope = (permission, resolver) =>
+    resolverBuilder(
+      utils.isString(permission)
+        ? checker.expr(permission)
+        : checker.rule(permission),
+      resolver
+    )
+
+  /**
+   * Creates `@scope(requires: "...")` schema directive. `transformer` wraps
+   * resolvers of the fields which have the directive or belong to the object
+   * type that has the directive.
+   */
+  const scopeDirective = (directiveName = 'scope') => {
+    const typeDefs = `directive @${directiveName}(requires: String!) on OBJECT | FIELD_DEFINITION`
+
+    const transformer = schema => {
+      const typeMap = schema.getTypeMap()
+      for (const [typeName, type] of Object.entries(typeMap)) {
+        if (
+          typeName.startsWith('__') ||
+          !type.astNode ||
+          type.astNode.kind !== 'ObjectTypeDefinition'
+        ) {
+          continue
+        }
+
+        const typeRequires = directiveRequires(type.astNode, directiveName)
+        for (const field of Object.values(type.getFields())) {
+          const requires = [
+            typeRequires,
+            directiveRequires(field.astNode, directiveName)
+          ].filter(source => source !== undefined)
+          if (requires.length) {
+            field.resolve = resolverBuilder(
+              checker.expr(requires.map(source => `(${source})`).join(' & ')),
+              field.resolve
+            )
+          }
+        }
+      }
+
+      return schema
+    }
+
+    return { transformer, typeDefs }
+  }
+
+  const { all, any, none, policy, where } = checker
+  return { all, any, none, policy, scopeDirective, where, withScope }
+}
+
+module.exports = graphqlJwtScope
@@ -1,222 +1,239 @@
 'use strict'
 
 const get = require('lodash.get')
-const utils = require('./utils')
-
-class ForbiddenError extends Error {
-  constructor(message) {
-    super(message || 'Forbidden')
-    this.name = this.constructor.name
-    this.expose = true
-    this.status = this.statusCode = 403
+const createChecker = require('./checker')
+const errors = require('./errors')
+const expression = require('./expression')
+
+const { ForbiddenError, UnauthorizedError } = errors
+
+/** Creates error handler that responds to authorization errors with JSON. */
+function errorHandler() {
+  return (err, req, res, next) => {
+    if (
+      !(err instanceof ForbiddenError || err instanceof UnauthorizedError) ||
+      res.headersSent
+    ) {
+      return next(err)
+    }
+
+    if (err.headers) {
+      res.set(err.headers)
+    }
+    res.status(err.status).json({ error: err.name, message: err.message })
   }
 }
 
-class UnauthorizedError extends Error {
-  constructor(message = 'Unauthorized') {
-    super(message)
-    this.name = this.constructor.name
-    this.expose = true
-    this.status = this.statusCode = 401
+/**
+ * Returns mount path of the router layer. Express 4 keeps mount path only as
+ * a regular expression, so it's restored from the expression source.
+ */
+function layerPath(layer) {
+  if (!layer.regexp || layer.regexp.fast_slash) {
+    return ''
   }
-}
 
-/** Checks that access token has admin claim and it's set to `true`. */
-const adminRule = path => async (_, helpers) => {
-  const adminClaim = get(helpers.token, path, undefined)
-  helpers.isAdmin = adminClaim === true || adminClaim === 1
-  return helpers.isAdmin
+  let keyIndex = 0
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(
+      /\(\?:(\\\/)?\(\[\^\\?\/\]\+\?\)\)(\?)?/g,
+      (_, slash, optional) =>
+        `${slash ? '/' : ''}:${layer.keys[keyIndex++].name}${optional || ''}`
+    )
+    .replace(/\\(.)/g, '$1')
 }
 
-/** Custom admin claim checker. */
-const userAdminRule = callable => async (grantedScope, helpers) => {
-  const result = await callable(
-    utils.deepCopy(grantedScope),
-    Object.assign({}, helpers, { token: utils.deepCopy(helpers.token) })
-  )
-  helpers.isAdmin = result === true
-  return helpers.isAdmin
+/** Returns requirements of the middleware mounted on the `routePath`. */
+function mountedRequirements(inherited, routePath) {
+  return inherited
+    .filter(
+      ({ mount }) =>
+        !mount || routePath === mount || routePath.startsWith(`${mount}/`)
+    )
+    .map(({ requirement }) => requirement)
 }
 
-/** Invokes `callable` with copies of recieved arguments. */
-const userRule = callable => async (grantedScope, helpers) =>
-  (await callable(
-    utils.deepCopy(grantedScope),
-    Object.assign({}, helpers, { token: utils.deepCopy(helpers.token) })
-  )) === true
-
-/** Checks `grantedScope` for `requested` permission. */
-const inGrantedRule = requested => async grantedScope =>
-  grantedScope.some(granted => {
-    if (granted.length === requested.length) {
-      return granted.every(
-        (scope, index) => scope === '*' || scope === requested[index]
-      )
-    } else if (granted.length > requested.length) {
-      const tail = granted.slice(requested.length)
-      return (
-        tail.every(scope => scope === '*') &&
-        requested.every((scope, index) => scope === granted[index])
-      )
-    } else {
-      return false
-    }
-  })
-
-/** Negates return of `rule` function. */
-const notRule = rule => async (grantedScope, helpers) =>
-  !(await rule(grantedScope, helpers))
-
-/** Reduces `rules` return values using `&&` operator. */
-const andReducer =
-  (...rules) =>
-  async (grantedScope, helpers) => {
-    for (const rule of rules) {
-      if (!(await rule(grantedScope, helpers))) {
-        return false
+/**
+ * Walks router stack of the Express application (or router) and returns list
+ * of routes with permission requirements of the middleware produced by the
+ * factory functions. Middleware mounted with `use()` applies to the routes
+ * registered after it under its mount path, route map handlers are expanded
+ * into their mapped routes.
+ */
+function routePermissions(app) {
+  const router = app._router || app.router || app
+  const routes = []
+
+  const walk = (stack, prefix, inherited) => {
+    for (const layer of stack) {
+      const requirement = createChecker.describeHandler(layer.handle)
+      if (layer.route) {
+        const { methods, stack: routeStack } = layer.route
+        for (const path of [].concat(layer.route.path)) {
+          const routePath = prefix + String(path)
+          const mounted = mountedRequirements(inherited, routePath)
+          for (const method of Object.keys(methods).filter(m => methods[m])) {
+            const handlers = routeStack
+              .filter(
+                routeLayer =>
+                  routeLayer.method === undefined ||
+                  method === '_all' ||
+                  routeLayer.method === method
+              )
+              .map(routeLayer =>
+                createChecker.describeHandler(routeLayer.handle)
+              )
+              .filter(requirement => requirement !== undefined)
+            routes.push({
+              method: method === '_all' ? 'ALL' : method.toUpperCase(),
+              path: routePath,
+              requirements: mounted.concat(handlers)
+            })
+          }
+        }
+      } else if (requirement && requirement.rule.type === 'routes') {
+        const mount = prefix + layerPath(layer)
+        for (const [route, rule] of Object.entries(requirement.rule.routes)) {
+          const [method, path] = route.trim().split(/ +/)
+          const routePath = mount && path === '/' ? mount : mount + path
+          routes.push({
+            method: method === '*' ? 'ALL' : method,
+            path: routePath,
+            requirements: mountedRequirements(inherited, routePath).concat({
+              expression: expression.stringify(rule),
+              rule
+            })
+          })
+        }
+      } else if (requirement) {
+        inherited = inherited.concat({
+          mount: prefix + layerPath(layer),
+          requirement
+        })
+      } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+        walk(layer.handle.stack, prefix + layerPath(layer), inherited)
       }
     }
-
-    return true
   }
+  walk(router.stack || [], '', [])
 
-/** Reduces `rules` return values using `||` operator. */
-const orReducer =
-  (...rules) =>
-  async (grantedScope, helpers) => {
-    for (const rule of rules) {
-      if (await rule(grantedScope, helpers)) {
-        return true
+  return routes
+}
+
+/**
+ * Returns request handlers mounted in the router stack of the Express
+ * application (or router), including nested routers, in mount order.
+ */
+function mountedHandlers(app) {
+  const router = app._router || app.router || app
+  const handlers = []
+
+  const walk = stack => {
+    for (const layer of stack) {
+      if (layer.route) {
+        handlers.push(...layer.route.stack.map(routeLayer => routeLayer.handle))
+      } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+        walk(layer.handle.stack)
+      } else {
+        handlers.push(layer.handle)
       }
     }
-
-    return false
-  }
-
-function expressJwtScope(options) {
-  const {
-    adminKey,
-    claimCharset,
-    claimDelimiter,
-    claimScopeDelimiter,
-    credentialsRequired,
-    requestProperty,
-    scopeKey,
-    tokenKey
-  } = utils.moduleArgv(options)
-
-  /** Creates checker function from list of requested permissions. */
-  const ruleQueueBuilder = claims => {
-    const queue = utils
-      .factoryArgv(claims, claimCharset, claimScopeDelimiter)
-      .map(claim =>
-        utils.isFunction(claim) ? userRule(claim) : inGrantedRule(claim)
-      )
-    return queue.length === 1 ? queue[0] : andReducer(...queue)
   }
+  walk(router.stack || [])
 
-  /** Factory function. */
-  const middlewareFactory = (...permissions) => {
-    let accessChecker
-
-    if (adminKey) {
-      accessChecker = utils.isFunction(adminKey)
-        ? userAdminRule(adminKey)
-        : adminRule(adminKey)
-      if (permissions.length) {
-        accessChecker = orReducer(accessChecker, ruleQueueBuilder(permissions))
-      }
-    } else {
-      accessChecker = ruleQueueBuilder(permissions)
-    }
+  return handlers
+}
 
+function expressJwtScope(options) {
+  const checker = createChecker(options)
+  const { requestProperty, tokenKey } = checker.config
+
+  /**
+   * Creates request handler that verifies permissions using `accessChecker`,
+   * `enforcement` overrides the configured mode.
+   */
+  const middlewareBuilder = (accessChecker, enforcement) => {
     /** Request handler. */
     const middleware = async (req, res, next) => {
-      const token = get(req, tokenKey, undefined)
-      const helpers = {
-        req,
-        isAdmin: undefined,
-        token
-      }
-
-      if (!token) {
-        if (credentialsRequired) {
-          throw new UnauthorizedError('No authorization token was found')
-        } else {
-          req[requestProperty] = {
-            allowed(permission) {
-              return orReducer(
-                this.isAdmin.bind(this),
-                this.hasPermission.bind(this, permission)
-              )([], helpers)
-            },
-            isAdmin() {
-              return false
-            },
-            hasPermission(permission) {
-              return ruleQueueBuilder([permission])([], helpers)
-            }
-          }
-          return next()
-        }
+      if (accessChecker.passthrough && accessChecker.passthrough(req)) {
+        return next()
       }
 
-      const scope = get(token, scopeKey, undefined)
-      const grantedScope = utils.parseGrantedScope(
-        scope,
-        claimDelimiter,
-        claimCharset,
-        claimScopeDelimiter
+      const decision = await checker.evaluate(
+        accessChecker,
+        get(req, tokenKey, undefined),
+        req,
+        {
+          method: req.method,
+          path: req.originalUrl || req.url,
+          route: req.route ? (req.baseUrl || '') + req.route.path : undefined
+        },
+        enforcement
       )
-      if (!grantedScope) {
-        throw new ForbiddenError('Fail to read granted permissions')
+      if (!decision.allowed) {
+        throw checker.error(decision, accessChecker, req)
       }
 
-      if (await accessChecker(grantedScope, helpers)) {
-        req[requestProperty] = {
-          allowed(permission) {
-            return orReducer(
-              this.isAdmin.bind(this),
-              this.hasPermission.bind(this, permission)
-            )(grantedScope, helpers)
-          },
-          isAdmin() {
-            return helpers.isAdmin === true
-          },
-          hasPermission(permission) {
-            return ruleQueueBuilder([permission])(grantedScope, helpers)
-          }
-        }
-        next()
-      } else {
-        throw new ForbiddenError()
-      }
+      req[requestProperty] = decision.permissions
+      next()
     }
 
-    middleware.or = (...permissions) => {
-      accessChecker = orReducer(accessChecker, ruleQueueBuilder(permissions))
-      return middleware
-    }
+    checker.chainable(middleware, accessChecker, middlewareBuilder, enforcement)
 
-    middleware.not = (...permissions) => {
-      accessChecker = andReducer(
-        accessChecker,
-        notRule(ruleQueueBuilder(permissions))
+    middleware.promisify = () =>
+      checker.register(
+        (req, res, next) =>
+          Promise.resolve()
+            .then(() => middleware(req, res, next))
+            .catch(next),
+        accessChecker
       )
-      return middleware
-    }
-
-    middleware.promisify = () => (req, res, next) =>
-      Promise.resolve()
-        .then(() => middleware(req, res, next))
-        .catch(next)
 
     return middleware
   }
 
+  /** Factory function. */
+  const middlewareFactory = (...permissions) =>
+    middlewareBuilder(checker.rule(...permissions))
+
+  /** Factory function that accepts permission expression string. */
+  middlewareFactory.expr = source => middlewareBuilder(checker.expr(source))
+
+  /** Factory function that derives requested permission from request method. */
+  middlewareFactory.resource = (name, options) =>
+    middlewareBuilder(checker.resource(name, options))
+
+  /**
+   * Creates single request handler that applies permissions mapped to the
+   * `'METHOD /path'` route patterns, first matching route wins. Route
+   * parameters are merged into `req.params` for permission placeholders.
+   * Unmatched requests are denied, allowed to any access token or passed
+   * through without check, according to `options.unmatched`.
+   */
+  middlewareFactory.routes = (map, options) =>
+    middlewareBuilder(checker.routes(map, options))
+
+  /**
+   * Returns permission requirements of the middleware produced by the factory
+   * and mounted in the Express application (or router).
+   */
+  middlewareFactory.registry = app => checker.registry(mountedHandlers(app))
+
+  /** Immutable policies accepted by the factory and request methods. */
+  const { all, any, none, policy, where } = checker
+  Object.assign(middlewareFactory, { all, any, none, policy, where })
+
   return middlewareFactory
 }
 
 module.exports = expressJwtScope
+module.exports.createChecker = createChecker
+module.exports.errorHandler = errorHandler
+module.exports.routePermissions = routePermissions
+module.exports.ExpressJwtScopeError = errors.ExpressJwtScopeError
+module.exports.ExpressionSyntaxError = errors.ExpressionSyntaxError
 module.exports.ForbiddenError = ForbiddenError
+module.exports.TenantError = errors.TenantError
 module.exports.UnauthorizedError = UnauthorizedError
@@ -0,0 +1,62 @@
+'use strict'
+
+const get = require('lodash.get')
+const createChecker = require('./checker')
+
+/**
+ * Creates a factory function that returns Koa middleware. The access token is
+ * read from `ctx.state` and permission methods are attached to `ctx.state`.
+ */
+function koaJwtScope(options) {
+  const checker = createChecker(options)
+  const { requestProperty, tokenKey } = checker.config
+
+  /**
+   * Creates middleware that verifies permissions using `accessChecker`,
+   * `enforcement` overrides the configured mode.
+   */
+  const middlewareBuilder = (accessChecker, enforcement) => {
+    /** Koa middleware. */
+    const middleware = async (ctx, next) => {
+      const decision = await checker.evaluate(
+        accessChecker,
+        get(ctx.state, tokenKey, undefined),
+        ctx,
+        { method: ctx.method, path: ctx.originalUrl, route: ctx._matchedRoute },
+        enforcement
+      )
+      if (!decision.allowed) {
+        throw checker.error(decision, accessChecker, ctx)
+      }
+
+      ctx.state[requestProperty] = decision.permissions
+      return next()
+    }
+
+    return checker.chainable(
+      middleware,
+      accessChecker,
+      middlewareBuilder,
+      enforcement
+    )
+  }
+
+  /** Factory function. */
+  const middlewareFactory = (...permissions) =>
+    middlewareBuilder(checker.rule(...permissions))
+
+  /** Factory function that accepts permission expression string. */
+  middlewareFactory.expr = source => middlewareBuilder(checker.expr(source))
+
+  /** Factory function that derives requested permission from request method. */
+  middlewareFactory.resource = (name, options) =>
+    middlewareBuilder(checker.resource(name, options))
+
+  /** Immutable policies accepted by the factory and request methods. */
+  const { all, any, none, policy, where } = checker
+  Object.assign(middlewareFactory, { all, any, none, policy, where })
+
+  return middlewareFactory
+}
+
+module.exports = koaJwtScope
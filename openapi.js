@@ -0,0 +1,115 @@
+'use strict'
+
+/** OpenAPI operations covered by Express `all()` routes. */
+const OPERATIONS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch']
+
+/** Removes duplicates from the list of scope sets. */
+const uniqueAlternatives = alternatives => {
+  const seen = new Set()
+  return alternatives.filter(scopes => {
+    const key = scopes.slice().sort().join(' ')
+    return seen.has(key) ? false : seen.add(key)
+  })
+}
+
+/**
+ * Converts rule description into list of alternative scope sets, any of which
+ * satisfies the rule. Negated permissions and custom checkers don't restrict
+ * scopes, admin rule can't be described with scopes and is omitted. Resource
+ * rule is described by the rule of the operation `method`.
+ */
+function scopeAlternatives(rule, method) {
+  const alternatives = node => scopeAlternatives(node, method)
+
+  switch (rule.type) {
+    case 'permission':
+      return [[rule.permission]]
+    case 'any':
+      return uniqueAlternatives(rule.rules.flatMap(alternatives))
+    case 'all':
+      return rule.rules
+        .map(alternatives)
+        .reduce(
+          (product, alternatives) =>
+            uniqueAlternatives(
+              product.flatMap(scopes =>
+                alternatives.map(other => [...new Set(scopes.concat(other))])
+              )
+            ),
+          [[]]
+        )
+    case 'admin':
+      return []
+    case 'resource': {
+      const methodRule = method && rule.methods[method.toUpperCase()]
+      return methodRule ? alternatives(methodRule) : []
+    }
+    default:
+      return [[]]
+  }
+}
+
+/** Converts Express route path into OpenAPI path template. */
+const openapiPath = path => path.replace(/:(\w+)(?:\([^)]*\))?\??/g, '{$1}')
+
+/**
+ * Generates OpenAPI 3 `security` requirements of the operations and security
+ * scheme with all required scopes from the list of routes produced by
+ * `routePermissions()`. Result is meant to be merged into the API document.
+ */
+function openapiSecurity(routes, options) {
+  const {
+    schemeName = 'jwtScope',
+    scheme = {
+      type: 'oauth2',
+      flows: { clientCredentials: { tokenUrl: '/oauth/token' } }
+    },
+    scopeDescriptions = {}
+  } = options || {}
+  const paths = {}
+  const requiredScopes = new Set()
+
+  for (const { method, path, requirements } of routes) {
+    if (!requirements.length) {
+      continue
+    }
+
+    const pathItem = (paths[openapiPath(path)] = paths[openapiPath(path)] || {})
+    for (const operation of method === 'ALL'
+      ? OPERATIONS
+      : [method.toLowerCase()]) {
+      const alternatives = scopeAlternatives(
+        { type: 'all', rules: requirements.map(({ rule }) => rule) },
+        operation
+      )
+      const security = (alternatives.length ? alternatives : [[]]).map(
+        scopes => {
+          scopes.forEach(scope => requiredScopes.add(scope))
+          return { [schemeName]: scopes }
+        }
+      )
+      pathItem[operation] = { security }
+    }
+  }
+
+  const scopes = {}
+  for (const scope of [...requiredScopes].sort()) {
+    scopes[scope] = scopeDescriptions[scope] || ''
+  }
+  const flows = {}
+  for (const [name, flow] of Object.entries(scheme.flows || {})) {
+    flows[name] = Object.assign({}, flow, { scopes })
+  }
+
+  return {
+    paths,
+    components: {
+      securitySchemes: {
+        [schemeName]: Object.assign({}, scheme, scheme.flows ? { flows } : {})
+      }
+    }
+  }
+}
+
+module.exports = openapiSecurity
+module.exports.scopeAlternatives = scopeAlternatives
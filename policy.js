@@ -0,0 +1,91 @@
+'use strict'
+
+const { conditionArgv } = require('./condition')
+const { ExpressJwtScopeError } = require('./errors')
+
+/** Policy combinator types. */
+const POLICY_TYPES = ['all', 'any', 'none']
+
+/** Requested items of every policy: permissions, checkers and policies. */
+const requestedItems = new WeakMap()
+
+/** Returns `true` if `value` is a policy created by `createPolicy()`. */
+const isPolicy = value => requestedItems.has(value)
+
+/** Returns serializable description of the policy item. */
+const describeItem = (item, index) => {
+  if (typeof item === 'string') {
+    return Object.freeze({ type: 'permission', permission: item })
+  } else if (typeof item === 'function') {
+    return Object.freeze({ type: 'callback', name: item.name || undefined })
+  } else if (isPolicy(item)) {
+    return item
+  }
+  throw new TypeError(
+    `String, function or policy argument expected, got [${index + 1}]: ${item}`
+  )
+}
+
+/**
+ * Creates immutable policy that requires `all`, `any` or `none` of `items`.
+ * Items are permission strings, custom checker functions and other policies.
+ * Policy is a frozen serializable description, so it can be shared between
+ * routes and nested without being changed.
+ */
+function createPolicy(type, items, name) {
+  if (!POLICY_TYPES.includes(type)) {
+    throw new ExpressJwtScopeError(`Unknown policy type '${type}'`)
+  } else if (!items.length) {
+    throw new ExpressJwtScopeError('Expected at least one argument')
+  } else if (name !== undefined && !(typeof name === 'string' && name)) {
+    throw new TypeError(`Policy name expected a string, got ${name}`)
+  }
+
+  const policy = Object.freeze(
+    Object.assign({ type }, name === undefined ? {} : { name }, {
+      rules: Object.freeze(items.map(describeItem))
+    })
+  )
+  requestedItems.set(policy, Object.freeze(items.slice()))
+  return policy
+}
+
+/**
+ * Creates immutable policy that requires token and request fields to satisfy
+ * `conditions`. Condition policy has no nested rules, it's evaluated as is.
+ */
+function createCondition(conditions, name) {
+  if (name !== undefined && !(typeof name === 'string' && name)) {
+    throw new TypeError(`Policy name expected a string, got ${name}`)
+  }
+
+  const policy = Object.freeze(
+    Object.assign({ type: 'condition' }, name === undefined ? {} : { name }, {
+      rules: Object.freeze([]),
+      conditions: conditionArgv(conditions)
+    })
+  )
+  requestedItems.set(policy, Object.freeze([]))
+  return policy
+}
+
+/** Returns requested items of the `policy`. */
+const policyItems = policy => requestedItems.get(policy)
+
+/** Returns copy of the `policy` with `name`. */
+function namedPolicy(name, policy) {
+  if (!isPolicy(policy)) {
+    throw new TypeError(`Policy expected, got ${policy}`)
+  } else if (policy.type === 'condition') {
+    return createCondition(policy.conditions, name)
+  }
+  return createPolicy(policy.type, policyItems(policy), name)
+}
+
+module.exports = {
+  createCondition,
+  createPolicy,
+  isPolicy,
+  namedPolicy,
+  policyItems
+}
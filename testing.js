@@ -0,0 +1,205 @@
+'use strict'
+
+const assert = require('assert')
+const createChecker = require('./checker')
+const expressJwtScope = require('./index')
+const utils = require('./utils')
+const { ExpressJwtScopeError } = require('./errors')
+
+/** Sets `value` at `path` of the `object`, creating missing objects. */
+const setPath = (object, path, value) => {
+  const keys = Array.isArray(path)
+    ? path
+    : path.split(/[.[\]]+/).filter(key => key !== '')
+  const last = keys.pop()
+  let target = object
+  for (const key of keys) {
+    if (target[key] === null || typeof target[key] !== 'object') {
+      target[key] = {}
+    }
+    target = target[key]
+  }
+  target[last] = value
+  return object
+}
+
+/** Formats granted scope for reports. */
+const formatScope = grantedScope =>
+  grantedScope === null
+    ? '<no token>'
+    : grantedScope === undefined
+    ? '<no scope>'
+    : Array.isArray(grantedScope)
+    ? grantedScope.join(' ')
+    : String(grantedScope) || '<empty>'
+
+/** Formats decision for reports. */
+const formatDecision = allowed => (allowed ? 'allowed' : 'denied')
+
+/** Formats result of the middleware run for reports. */
+const formatResult = ({ allowed, error }) =>
+  error && !allowed
+    ? `${formatDecision(allowed)} (${error.name}: ${error.message})`
+    : formatDecision(allowed)
+
+/**
+ * Creates helpers for unit testing routes protected by the middleware. Helpers
+ * build the access token and request object according to `options`, which
+ * are the same options passed to the module.
+ */
+function createTesting(options) {
+  const jwtScope = expressJwtScope(options)
+  const { adminKey, scopeSources, tokenKey } = utils.moduleArgv(options)
+
+  /**
+   * Builds access token with `grantedScope` put to the first scope source.
+   * `options.admin` sets admin claim, `options.claims` are merged into token.
+   */
+  const token = (grantedScope, options) => {
+    const { admin, claims } = options || {}
+    const output = Object.assign({}, claims)
+    if (grantedScope !== undefined) {
+      setPath(output, scopeSources[0].path, grantedScope)
+    }
+    if (admin !== undefined) {
+      if (!adminKey || utils.isFunction(adminKey)) {
+        throw new ExpressJwtScopeError('admin option requires adminKey path')
+      }
+      setPath(output, adminKey, admin)
+    }
+    return output
+  }
+
+  /**
+   * Builds request object with access token at `tokenKey`, or without token
+   * if `grantedScope` is `null`. `options.req` fields (e.g. `params`) are
+   * merged into request.
+   */
+  const request = (grantedScope, options) => {
+    const req = Object.assign({}, options && options.req)
+    return grantedScope === null
+      ? req
+      : setPath(req, tokenKey, token(grantedScope, options))
+  }
+
+  /** Returns middleware for `permission`, or `permission` if it's a middleware. */
+  const middlewareOf = permission => {
+    if (createChecker.describeHandler(permission)) {
+      return permission
+    }
+    return utils.isString(permission)
+      ? jwtScope.expr(permission)
+      : jwtScope(permission)
+  }
+
+  /**
+   * Runs middleware (or middleware created from permission, policy or custom
+   * checker) against request with `grantedScope`. Resolves to `{ allowed,
+   * error, req }`, rejected and passed to `next()` errors deny access.
+   */
+  const run = async (middleware, grantedScope, options) => {
+    const req = request(grantedScope, options)
+    let nextCalled = false
+    let nextError
+    try {
+      await middlewareOf(middleware)(req, {}, error => {
+        nextCalled = true
+        nextError = error
+      })
+    } catch (error) {
+      return { allowed: false, error, req }
+    }
+
+    return { allowed: nextCalled && !nextError, error: nextError, req }
+  }
+
+  /** Resolves to request with permission methods, if access is allowed. */
+  const expectAllowed = async (middleware, grantedScope, options) => {
+    const result = await run(middleware, grantedScope, options)
+    if (!result.allowed) {
+      throw new assert.AssertionError({
+        message: `Expected access to be allowed for '${formatScope(
+          grantedScope
+        )}', got ${formatResult(result)}`,
+        actual: formatDecision(result.allowed),
+        expected: formatDecision(true),
+        operator: 'expectAllowed'
+      })
+    }
+    return result.req
+  }
+
+  /** Resolves to authorization error, if access is denied. */
+  const expectDenied = async (middleware, grantedScope, options) => {
+    const result = await run(middleware, grantedScope, options)
+    if (result.allowed) {
+      throw new assert.AssertionError({
+        message: `Expected access to be denied for '${formatScope(
+          grantedScope
+        )}', got allowed`,
+        actual: formatDecision(result.allowed),
+        expected: formatDecision(false),
+        operator: 'expectDenied'
+      })
+    }
+    return result.error
+  }
+
+  /**
+   * Checks single middleware (or permission, policy) against `table` of
+   * `[grantedScope, allowed]` rows. Resolves to list of results, or rejects
+   * `AssertionError` with report of expected and actual decisions.
+   */
+  const matrix = async (middleware, table, options) => {
+    middleware = middlewareOf(middleware)
+    const rows = []
+    for (const [grantedScope, expected] of table) {
+      const result = await run(middleware, grantedScope, options)
+      rows.push({
+        grantedScope,
+        expected,
+        allowed: result.allowed,
+        error: result.error
+      })
+    }
+
+    const failed = rows.filter(row => row.allowed !== row.expected)
+    if (failed.length) {
+      const scopeWidth = Math.max(
+        'granted scope'.length,
+        ...rows.map(row => formatScope(row.grantedScope).length)
+      )
+      const lines = rows.map(row => {
+        const marker = row.allowed === row.expected ? ' ' : '✗'
+        const scope = formatScope(row.grantedScope).padEnd(scopeWidth)
+        const expected = formatDecision(row.expected).padEnd(8)
+        return `${marker} ${scope}  ${expected}  ${formatResult(row)}`
+      })
+      throw new assert.AssertionError({
+        message: [
+          `Decisions of '${
+            createChecker.describeHandler(middleware).expression
+          }' differ from expected in ${failed.length} of ${rows.length} rows:`,
+          `  ${'granted scope'.padEnd(scopeWidth)}  expected  actual`,
+          ...lines
+        ].join('\n'),
+        actual: rows.map(row => formatDecision(row.allowed)),
+        expected: rows.map(row => formatDecision(row.expected)),
+        operator: 'matrix'
+      })
+    }
+
+    return rows
+  }
+
+  return {
+    expectAllowed,
+    expectDenied,
+    matrix,
+    request,
+    run,
+    token
+  }
+}
+
+module.exports = createTesting
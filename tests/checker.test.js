@@ -0,0 +1,353 @@
+const createChecker = require('../checker')
+const utils = require('../utils')
+const { ForbiddenError, UnauthorizedError } = require('../errors')
+
+describe('check method', () => {
+  test('expression is satisfied, resolves allowed decision', async () => {
+    const checker = createChecker()
+    const decision = await checker.check(
+      { scope: 'user:read,user:write' },
+      '(read | user:read & user:write) & !user:ban'
+    )
+    expect(decision).toMatchObject({
+      allowed: true,
+      reason: 'evaluated',
+      isAdmin: false,
+      trace: null
+    })
+    await expect(decision.permissions.hasPermission('user:read')).resolves.toBe(
+      true
+    )
+  })
+
+  test('expression is not satisfied, resolves denied decision', async () => {
+    const checker = createChecker({ trace: true })
+    const decision = await checker.check({ scope: 'read' }, 'write')
+    expect(decision).toMatchObject({
+      allowed: false,
+      reason: 'evaluated',
+      permissions: null,
+      trace: { result: false }
+    })
+    expect(checker.error(decision)).toBeInstanceOf(ForbiddenError)
+  })
+
+  test('admin claim is set, resolves allowed decision', async () => {
+    const checker = createChecker({ adminKey: 'admin' })
+    const decision = await checker.check({ admin: true }, 'write')
+    expect(decision).toMatchObject({ allowed: true, isAdmin: true })
+  })
+
+  test('custom checker receives request from context', async () => {
+    const checker = createChecker()
+    const callable = jest.fn().mockReturnValue(true)
+    const req = { params: { id: 1 } }
+    const decision = await checker.check({ scope: '' }, callable, { req })
+    expect(decision.allowed).toBe(true)
+    expect(callable).toHaveBeenCalledWith(
+      [],
+      expect.objectContaining({ req, token: { scope: '' } })
+    )
+  })
+
+  test('placeholders are resolved from request in context', async () => {
+    const checker = createChecker()
+    const token = { scope: 'project:1:read' }
+    const permission = 'project:{params.id}:read'
+    await expect(
+      checker.check(token, permission, { req: { params: { id: 1 } } })
+    ).resolves.toMatchObject({ allowed: true })
+    await expect(checker.check(token, permission)).resolves.toMatchObject({
+      allowed: false
+    })
+  })
+
+  test.each([
+    ['token_missing', undefined, UnauthorizedError],
+    ['scope_invalid', { scope: 1 }, ForbiddenError]
+  ])('%s, resolves denied decision', async (reason, token, ErrorClass) => {
+    const checker = createChecker()
+    const decision = await checker.check(token, 'read')
+    expect(decision).toMatchObject({ allowed: false, reason })
+    expect(checker.error(decision)).toBeInstanceOf(ErrorClass)
+  })
+
+  test('decision event has check source and context fields', async () => {
+    const onDecision = jest.fn()
+    const checker = createChecker({ onDecision })
+    await checker.check({ sub: 'job-1', scope: 'read' }, 'read', {
+      method: 'CONSUME',
+      path: 'queue/reports'
+    })
+    await new Promise(resolve => setImmediate(resolve))
+    expect(onDecision).toHaveBeenCalledWith(
+      expect.objectContaining({
+        source: 'check',
+        subject: 'job-1',
+        method: 'CONSUME',
+        path: 'queue/reports',
+        result: true
+      })
+    )
+  })
+
+  test('policy from another checker, is compiled with own configuration', async () => {
+    const checker = createChecker({ claimScopeDelimiter: '.', trace: true })
+    const policy = createChecker().policy(
+      'canExport',
+      createChecker().any('report', 'export')
+    )
+    const decision = await checker.check({ scope: 'export' }, policy)
+
+    expect(decision.allowed).toBe(true)
+    expect(decision.trace.rule).toMatchObject({ type: 'any', result: true })
+    expect(checker.rule(policy).description).toMatchObject({
+      type: 'any',
+      name: 'canExport'
+    })
+  })
+
+  test('report-only mode, resolves soft denied decision', async () => {
+    const checker = createChecker({ mode: 'report-only', onWarning: jest.fn() })
+    const decision = await checker.check({ scope: 'read' }, 'write')
+
+    expect(decision).toMatchObject({
+      allowed: true,
+      softDenied: true,
+      reason: 'evaluated'
+    })
+    expect(decision.permissions.isSoftDenied()).toBe(true)
+    expect(checker.error(decision)).toBeNull()
+  })
+
+  test('invalid expression, throws ExpressionSyntaxError', () => {
+    const checker = createChecker()
+    expect(() => checker.check({}, 'read &')).toThrow('Unexpected end')
+  })
+})
+
+describe('error method', () => {
+  test('allowed decision, returns null', () => {
+    expect(createChecker().error({ allowed: true })).toBeNull()
+  })
+})
+
+describe('compiled scope and rule caches', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('same scope claim, parses granted scope once', async () => {
+    const parser = jest.spyOn(utils, 'splitGrantedScope')
+    const checker = createChecker()
+    await checker.check({ scope: 'read,write' }, 'read')
+    await checker.check({ scope: 'read,write' }, 'write')
+    await checker.check({ scope: ['read', 'write'] }, 'read')
+
+    expect(parser).toHaveBeenCalledTimes(2)
+  })
+
+  test('cache is disabled, parses granted scope on every check', async () => {
+    const parser = jest.spyOn(utils, 'splitGrantedScope')
+    const checker = createChecker({ cacheSize: 0 })
+    await checker.check({ scope: 'read' }, 'read')
+    await checker.check({ scope: 'read' }, 'read')
+
+    expect(parser).toHaveBeenCalledTimes(2)
+  })
+
+  test('malformed scope claim is cached, resolves denied decision', async () => {
+    const checker = createChecker()
+    await checker.check({ scope: 'read ,write' }, 'read')
+    const decision = await checker.check({ scope: 'read ,write' }, 'read')
+    expect(decision).toMatchObject({ allowed: false, reason: 'scope_invalid' })
+  })
+
+  test('roles claim is a part of cache key', async () => {
+    const checker = createChecker({ roles: { editor: ['post:write'] } })
+    const editor = await checker.check(
+      { scope: 'read', roles: 'editor' },
+      'post:write'
+    )
+    const reader = await checker.check({ scope: 'read' }, 'post:write')
+
+    expect(editor.allowed).toBe(true)
+    expect(reader.allowed).toBe(false)
+  })
+
+  test('request methods, compile permission once', async () => {
+    const parser = jest.spyOn(utils, 'factoryArgv')
+    const checker = createChecker()
+    const { permissions } = await checker.check({ scope: 'read' }, 'read')
+    parser.mockClear()
+    await permissions.hasPermission('write')
+    await permissions.hasPermission('write')
+    await permissions.allowed('write')
+
+    expect(parser).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('resolveScope option', () => {
+  const memoryStore = entries => {
+    const store = new Map(Object.entries(entries))
+    return jest.fn(async token => store.get(token.sub))
+  }
+  let emitWarning
+
+  beforeEach(() => {
+    emitWarning = jest
+      .spyOn(process, 'emitWarning')
+      .mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('resolved permissions are merged with token scope', async () => {
+    const resolve = memoryStore({ alice: ['report:read', 'report:export'] })
+    const checker = createChecker({ resolveScope: resolve })
+    const token = { sub: 'alice', iat: 1, scope: 'read' }
+    const decision = await checker.check(token, 'read & report:export', {
+      req: { id: 1 }
+    })
+
+    expect(decision.allowed).toBe(true)
+    expect(resolve).toHaveBeenCalledWith(token, { id: 1 })
+    await expect(
+      decision.permissions.hasPermission('report:read')
+    ).resolves.toBe(true)
+  })
+
+  test('same cache key, calls resolver once', async () => {
+    const resolve = memoryStore({ alice: 'report:read' })
+    const checker = createChecker({ resolveScope: resolve })
+    await checker.check({ sub: 'alice', iat: 1 }, 'report:read')
+    await checker.check({ sub: 'alice', iat: 1 }, 'report:read')
+    await checker.check({ sub: 'alice', iat: 2 }, 'report:read')
+
+    expect(resolve).toHaveBeenCalledTimes(2)
+  })
+
+  test('cache entry expired, calls resolver again', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000)
+    const resolve = memoryStore({ alice: 'report:read' })
+    const checker = createChecker({
+      resolveScope: { resolve, cacheKey: 'sub', ttl: 500 }
+    })
+    await checker.check({ sub: 'alice' }, 'report:read')
+    now.mockReturnValue(1400)
+    await checker.check({ sub: 'alice' }, 'report:read')
+    now.mockReturnValue(1600)
+    await checker.check({ sub: 'alice' }, 'report:read')
+
+    expect(resolve).toHaveBeenCalledTimes(2)
+  })
+
+  test('token lacks cache key fields, does not cache permissions', async () => {
+    const resolve = jest.fn().mockResolvedValue('read')
+    const checker = createChecker({ resolveScope: resolve })
+    await checker.check({ scope: 'write' }, 'read')
+    await checker.check({ scope: 'write' }, 'read')
+
+    expect(resolve).toHaveBeenCalledTimes(2)
+  })
+
+  test('concurrent checks, share in-flight resolver call', async () => {
+    const resolve = memoryStore({ alice: 'report:read' })
+    const checker = createChecker({
+      resolveScope: { resolve, cacheKey: token => token.sub, ttl: 0 }
+    })
+    const decisions = await Promise.all([
+      checker.check({ sub: 'alice' }, 'report:read'),
+      checker.check({ sub: 'alice' }, 'report:read'),
+      checker.check({ sub: 'alice' }, 'report:read')
+    ])
+    await checker.check({ sub: 'alice' }, 'report:read')
+
+    expect(decisions.every(decision => decision.allowed)).toBe(true)
+    expect(resolve).toHaveBeenCalledTimes(2)
+  })
+
+  test('resolver times out, fails closed', async () => {
+    const resolve = jest.fn(() => new Promise(() => {}))
+    const checker = createChecker({ resolveScope: { resolve, timeout: 10 } })
+    const decision = await checker.check(
+      { sub: 'alice', scope: 'read' },
+      'read'
+    )
+
+    expect(decision).toMatchObject({
+      allowed: false,
+      reason: 'scope_unresolved'
+    })
+    expect(checker.error(decision)).toMatchObject({
+      status: 403,
+      message: 'Fail to resolve granted permissions'
+    })
+    expect(emitWarning).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: 'resolveScope timed out after 10ms'
+      })
+    )
+  })
+
+  test('resolver rejects, fails closed and does not cache failure', async () => {
+    const resolve = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('Connection refused'))
+      .mockResolvedValueOnce('read')
+    const checker = createChecker({ resolveScope: resolve })
+    const token = { sub: 'alice', iat: 1 }
+
+    await expect(checker.check(token, 'read')).resolves.toMatchObject({
+      allowed: false,
+      reason: 'scope_unresolved'
+    })
+    await expect(checker.check(token, 'read')).resolves.toMatchObject({
+      allowed: true
+    })
+  })
+
+  test('resolved permissions are malformed, fails closed or skips them', async () => {
+    const resolve = jest.fn().mockResolvedValue('report read')
+    const token = { sub: 'alice', scope: 'read' }
+
+    const failing = createChecker({ resolveScope: resolve })
+    await expect(failing.check(token, 'read')).resolves.toMatchObject({
+      allowed: false,
+      reason: 'scope_unresolved'
+    })
+
+    const skipping = createChecker({
+      invalidScope: 'skip',
+      resolveScope: resolve
+    })
+    await expect(skipping.check(token, 'read')).resolves.toMatchObject({
+      allowed: true
+    })
+    expect(emitWarning).toHaveBeenCalledWith(
+      "Skipped malformed granted permissions at 'resolveScope'",
+      'ExpressJwtScopeWarning'
+    )
+  })
+
+  test('implications apply to resolved permissions', async () => {
+    const checker = createChecker({
+      implies: { 'report:write': 'report:read' },
+      resolveScope: async () => ['report:write']
+    })
+    const decision = await checker.check({ sub: 'alice' }, 'report:read')
+    expect(decision.allowed).toBe(true)
+  })
+
+  test.each([
+    ['resolver is not a function', { resolve: 'db' }],
+    ['invalid cache key', { resolve: jest.fn(), cacheKey: [] }],
+    ['negative ttl', { resolve: jest.fn(), ttl: -1 }],
+    ['zero timeout', { resolve: jest.fn(), timeout: 0 }]
+  ])('%s, throws TypeError', (_, resolveScope) => {
+    expect(() => createChecker({ resolveScope })).toThrow(TypeError)
+  })
+})
@@ -0,0 +1,102 @@
+const {
+  conditionArgv,
+  failedCondition,
+  stringifyConditions
+} = require('../condition')
+const { ExpressJwtScopeError } = require('../errors')
+
+const context = {
+  token: { sub: 7, level: '3', orgs: ['acme', 'globex'], email: null },
+  req: { params: { ownerId: '7', orgId: 'acme' }, method: 'PUT' }
+}
+
+describe('conditionArgv function', () => {
+  test('shorthand values, are normalized into operators', () => {
+    expect(
+      conditionArgv({
+        'req.params.ownerId': '$token.sub',
+        'req.method': ['PUT', 'PATCH'],
+        'token.level': { $gte: 2, $lt: 10 }
+      })
+    ).toEqual({
+      'req.params.ownerId': { $eq: '$token.sub' },
+      'req.method': { $in: ['PUT', 'PATCH'] },
+      'token.level': { $gte: 2, $lt: 10 }
+    })
+  })
+
+  test('normalized conditions, are frozen', () => {
+    const conditions = conditionArgv({ 'req.method': ['GET'] })
+    expect(Object.isFrozen(conditions)).toBe(true)
+    expect(Object.isFrozen(conditions['req.method'])).toBe(true)
+    expect(Object.isFrozen(conditions['req.method'].$in)).toBe(true)
+  })
+
+  test.each([undefined, null, 'token.sub', [], {}])(
+    'conditions %p, throws TypeError',
+    conditions => {
+      expect(() => conditionArgv(conditions)).toThrow(TypeError)
+    }
+  )
+
+  test.each([
+    [{ sub: 7 }, "Condition field expected 'token.*' or 'req.*' path"],
+    [{ 'res.locals.id': 7 }, "Condition field expected 'token.*' or 'req.*'"],
+    [{ 'token.sub': {} }, "Condition 'token.sub' has no operators"],
+    [{ 'token.sub': { $regex: '7' } }, "unknown operator '$regex'"],
+    [{ 'token.sub': { $gt: [7] } }, "has invalid $gt operand '7'"],
+    [{ 'token.sub': { $in: 'acme' } }, "has invalid $in operand 'acme'"],
+    [{ 'token.sub': [{ id: 7 }] }, 'has invalid $in operand']
+  ])(
+    'invalid conditions %p, throws ExpressJwtScopeError',
+    (conditions, msg) => {
+      expect(() => conditionArgv(conditions)).toThrow(ExpressJwtScopeError)
+      expect(() => conditionArgv(conditions)).toThrow(msg)
+    }
+  )
+})
+
+describe('failedCondition function', () => {
+  test.each([
+    [{ 'req.params.ownerId': '$token.sub' }, undefined],
+    [{ 'req.params.ownerId': { $ne: '$token.sub' } }, 'req.params.ownerId'],
+    [{ 'req.params.orgId': { $in: '$token.orgs' } }, undefined],
+    [{ 'req.params.orgId': { $nin: ['acme'] } }, 'req.params.orgId'],
+    [{ 'req.method': ['PUT', 'PATCH'] }, undefined],
+    [{ 'token.level': { $gt: 2, $lte: 3 } }, undefined],
+    [{ 'token.level': { $gte: 10 } }, 'token.level'],
+    [{ 'token.level': { $lt: '10' } }, undefined],
+    [{ 'req.params.orgId': { $lt: 'globex' } }, undefined],
+    [{ 'req.params.orgId': 'acme', 'token.sub': 8 }, 'token.sub']
+  ])('%p, returns %p', (conditions, expected) => {
+    expect(failedCondition(conditionArgv(conditions), context)).toBe(expected)
+  })
+
+  test.each([
+    { 'token.email': { $ne: 'root@example.com' } },
+    { 'token.missing': { $nin: ['acme'] } },
+    { 'req.params.orgId': '$token.missing' },
+    { 'req.params.orgId': { $in: '$token.sub' } },
+    { 'token.orgs': { $gt: 1 } }
+  ])('missing or mismatched values %p, fail', conditions => {
+    expect(failedCondition(conditionArgv(conditions), context)).toBe(
+      Object.keys(conditions)[0]
+    )
+  })
+})
+
+describe('stringifyConditions function', () => {
+  test('conditions, returns expression-like string', () => {
+    expect(
+      stringifyConditions(
+        conditionArgv({
+          'req.params.ownerId': '$token.sub',
+          'req.method': ['PUT', 'PATCH'],
+          'token.level': { $gte: 2, $ne: '5' }
+        })
+      )
+    ).toBe(
+      'req.params.ownerId == $token.sub & req.method in ["PUT","PATCH"] & token.level >= 2 & token.level != "5"'
+    )
+  })
+})
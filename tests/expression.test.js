@@ -0,0 +1,179 @@
+const { ExpressionSyntaxError } = require('../errors')
+const { assertDelimiter, parse, stringify } = require('../expression')
+
+const parseClaim = claim => {
+  if (!/^[a-z]+(:[a-z]+)*$/.test(claim)) {
+    throw new Error('Invalid claim')
+  }
+  return claim.split(':')
+}
+
+describe('parse function', () => {
+  test('single permission, returns claim node', () => {
+    expect(parse('user:read', parseClaim)).toEqual({
+      type: 'claim',
+      claim: ['user', 'read']
+    })
+  })
+
+  test('operators precedence, returns syntax tree', () => {
+    expect(parse('read | !user:ban & write', parseClaim)).toEqual({
+      type: 'or',
+      operands: [
+        { type: 'claim', claim: ['read'] },
+        {
+          type: 'and',
+          operands: [
+            { type: 'not', operand: { type: 'claim', claim: ['user', 'ban'] } },
+            { type: 'claim', claim: ['write'] }
+          ]
+        }
+      ]
+    })
+  })
+
+  test('grouping with parentheses, returns syntax tree', () => {
+    expect(parse('(a|b)&!(c|d)', parseClaim)).toEqual({
+      type: 'and',
+      operands: [
+        {
+          type: 'or',
+          operands: [
+            { type: 'claim', claim: ['a'] },
+            { type: 'claim', claim: ['b'] }
+          ]
+        },
+        {
+          type: 'not',
+          operand: {
+            type: 'or',
+            operands: [
+              { type: 'claim', claim: ['c'] },
+              { type: 'claim', claim: ['d'] }
+            ]
+          }
+        }
+      ]
+    })
+  })
+
+  describe('malformed expression, throws ExpressionSyntaxError', () => {
+    test.each([
+      ['', 1, 'Unexpected end of expression'],
+      ['read &', 7, 'Unexpected end of expression'],
+      ['read write', 6, "Unexpected token 'write'"],
+      ['(read | write', 14, "Expected ')' to close '(' at column 1"],
+      ['read)', 5, "Unexpected token ')'"],
+      ['read & | write', 8, "Unexpected token '|'"],
+      ['read | user:*', 8, "Invalid permission 'user:*'"]
+    ])("'%s' at column %d", (source, column, message) => {
+      const catchError = () => {
+        try {
+          parse(source, parseClaim)
+        } catch (error) {
+          return error
+        }
+      }
+      const error = catchError()
+      expect(error).toBeInstanceOf(ExpressionSyntaxError)
+      expect(error).toMatchObject({
+        column,
+        expression: source,
+        message: `${message} at column ${column}`
+      })
+    })
+  })
+
+  test('expression is not a string, throws TypeError', () => {
+    expect(() => parse(['read'], parseClaim)).toThrow(TypeError)
+  })
+})
+
+describe('assertDelimiter function', () => {
+  test.each(['&', '|', '!', '(', ')'])("reserved character '%s'", char => {
+    expect(() => assertDelimiter(char)).toThrow(Error)
+  })
+
+  test('allowed character, does not throw', () => {
+    expect(() => assertDelimiter(':')).not.toThrow()
+  })
+})
+
+describe('stringify function', () => {
+  test('nested rules, returns expression with minimal parentheses', () => {
+    const description = {
+      type: 'all',
+      rules: [
+        {
+          type: 'any',
+          rules: [
+            { type: 'permission', permission: 'read' },
+            {
+              type: 'all',
+              rules: [
+                { type: 'permission', permission: 'user:read' },
+                { type: 'permission', permission: 'user:write' }
+              ]
+            }
+          ]
+        },
+        { type: 'not', rule: { type: 'permission', permission: 'user:ban' } },
+        {
+          type: 'not',
+          rule: {
+            type: 'any',
+            rules: [{ type: 'callback', name: 'isOwner' }, { type: 'callback' }]
+          }
+        }
+      ]
+    }
+    expect(stringify(description)).toBe(
+      '(read | user:read & user:write) & !user:ban & !(<isOwner> | <callback>)'
+    )
+  })
+
+  test('admin rule, returns placeholder', () => {
+    expect(
+      stringify({
+        type: 'any',
+        rules: [
+          { type: 'admin', key: 'admin' },
+          { type: 'permission', permission: 'read' }
+        ]
+      })
+    ).toBe('<admin> | read')
+  })
+
+  test('condition rule, returns conditions in placeholder', () => {
+    expect(
+      stringify({
+        type: 'all',
+        rules: [
+          { type: 'permission', permission: 'doc:edit' },
+          {
+            type: 'condition',
+            conditions: { 'req.params.ownerId': { $eq: '$token.sub' } }
+          }
+        ]
+      })
+    ).toBe('doc:edit & <req.params.ownerId == $token.sub>')
+  })
+
+  test('stringified expression is parsed into the same tree', () => {
+    const source = '(a | b) & !(c & d) | e'
+    const tree = parse(source, parseClaim)
+    const toDescription = node => {
+      switch (node.type) {
+        case 'and':
+          return { type: 'all', rules: node.operands.map(toDescription) }
+        case 'or':
+          return { type: 'any', rules: node.operands.map(toDescription) }
+        case 'not':
+          return { type: 'not', rule: toDescription(node.operand) }
+        default:
+          return { type: 'permission', permission: node.claim.join(':') }
+      }
+    }
+    expect(parse(stringify(toDescription(tree)), parseClaim)).toEqual(tree)
+  })
+})
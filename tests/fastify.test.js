@@ -0,0 +1,84 @@
+const fastifyJwtScope = require('../fastify')
+const { ForbiddenError, UnauthorizedError } = require('../errors')
+
+const stubrequest = (scope, admin) => ({
+  method: 'GET',
+  url: '/users/1',
+  routerPath: '/users/:id',
+  params: { id: '1' },
+  user: { admin, scope }
+})
+
+const stubinstance = () => {
+  const decorators = new Set()
+  return {
+    decorateRequest: jest.fn(name => decorators.add(name)),
+    hasRequestDecorator: name => decorators.has(name)
+  }
+}
+
+test('access token not found, rejects UnauthorizedError', async () => {
+  const preHandler = fastifyJwtScope()('read')
+  await expect(preHandler({})).rejects.toThrow(UnauthorizedError)
+})
+
+test('permission is granted, attaches permissions to request', async () => {
+  const preHandler = fastifyJwtScope({ requestProperty: 'scopes' })('read')
+  const request = stubrequest('read,write')
+  await preHandler(request, {})
+
+  await expect(request.scopes.hasPermission('write')).resolves.toBe(true)
+  await expect(request.scopes.allowed('delete')).resolves.toBe(false)
+})
+
+test('permission is not granted, rejects ForbiddenError', async () => {
+  const preHandler = fastifyJwtScope()('write')
+  await expect(preHandler(stubrequest('read'), {})).rejects.toThrow(
+    ForbiddenError
+  )
+})
+
+test('chaining methods and expressions, resolves true', async () => {
+  const factory = fastifyJwtScope({ adminKey: 'admin' })
+  await expect(
+    factory('write').or('user:{params.id}')(stubrequest('user:1'), {})
+  ).resolves.toBeUndefined()
+  await expect(
+    factory.expr('read & !ban')(stubrequest('read'), {})
+  ).resolves.toBeUndefined()
+  await expect(
+    factory('read').not('ban')(stubrequest('read,ban'), {})
+  ).rejects.toThrow(ForbiddenError)
+})
+
+test('decision event has fastify route', async () => {
+  const onDecision = jest.fn()
+  const preHandler = fastifyJwtScope({ onDecision })('read')
+  await preHandler(stubrequest('read'), {})
+  await new Promise(resolve => setImmediate(resolve))
+  expect(onDecision).toHaveBeenCalledWith(
+    expect.objectContaining({
+      method: 'GET',
+      path: '/users/1',
+      route: '/users/:id'
+    })
+  )
+})
+
+describe('plugin', () => {
+  test('decorates request once, calls done', () => {
+    const factory = fastifyJwtScope()
+    const fastify = stubinstance()
+    const done = jest.fn()
+    factory.plugin(fastify, {}, done)
+    factory.plugin(fastify, {}, done)
+
+    expect(fastify.decorateRequest).toHaveBeenCalledTimes(1)
+    expect(fastify.decorateRequest).toHaveBeenCalledWith('permissions', null)
+    expect(done).toHaveBeenCalledTimes(2)
+  })
+
+  test('skips encapsulation', () => {
+    expect(fastifyJwtScope().plugin[Symbol.for('skip-override')]).toBe(true)
+  })
+})
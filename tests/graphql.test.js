@@ -0,0 +1,204 @@
+const { buildSchema, graphql } = require('graphql')
+const graphqlJwtScope = require('../graphql')
+const {
+  ExpressionSyntaxError,
+  ForbiddenError,
+  UnauthorizedError
+} = require('../errors')
+
+const stubcontext = (scope, admin) => ({ user: { admin, scope } })
+const stubinfo = { fieldName: 'email', parentType: { name: 'User' } }
+
+describe('withScope function', () => {
+  test('permission is granted, calls resolver', async () => {
+    const { withScope } = graphqlJwtScope()
+    const resolver = jest.fn().mockReturnValue('user@example.com')
+    const context = stubcontext('user:read')
+    const resolve = withScope('user:read', resolver)
+
+    await expect(resolve({}, {}, context, stubinfo)).resolves.toBe(
+      'user@example.com'
+    )
+    expect(resolver).toHaveBeenCalledWith({}, {}, context, stubinfo)
+  })
+
+  test('permission is not granted, rejects error with FORBIDDEN code', async () => {
+    const resolver = jest.fn()
+    const resolve = graphqlJwtScope().withScope('user:write', resolver)
+    const error = await resolve({}, {}, stubcontext('user:read'), stubinfo)
+      .then(() => null)
+      .catch(error => error)
+
+    expect(error).toBeInstanceOf(ForbiddenError)
+    expect(error.extensions).toEqual({ code: 'FORBIDDEN' })
+    expect(resolver).not.toHaveBeenCalled()
+  })
+
+  test('access token not found, rejects error with UNAUTHENTICATED code', async () => {
+    const resolve = graphqlJwtScope().withScope('read', jest.fn())
+    const error = await resolve({}, {}, {}, stubinfo).catch(error => error)
+
+    expect(error).toBeInstanceOf(UnauthorizedError)
+    expect(error.extensions).toEqual({ code: 'UNAUTHENTICATED' })
+  })
+
+  test('policy, is checked before resolver', async () => {
+    const { any, none, all, withScope } = graphqlJwtScope()
+    const resolve = withScope(
+      all(any('user:read', 'user:admin'), none('user:ban')),
+      () => true
+    )
+
+    await expect(
+      resolve({}, {}, stubcontext('user:admin'), stubinfo)
+    ).resolves.toBe(true)
+    await expect(
+      resolve({}, {}, stubcontext('user:read,user:ban'), stubinfo)
+    ).rejects.toThrow(ForbiddenError)
+  })
+
+  test('token key and expression, reads token from context', async () => {
+    const { withScope } = graphqlJwtScope({
+      adminKey: 'admin',
+      tokenKey: 'req.auth'
+    })
+    const resolve = withScope('user:read & !user:ban', () => true)
+    const context = { req: { auth: { scope: 'user:read' } } }
+
+    await expect(resolve({}, {}, context, stubinfo)).resolves.toBe(true)
+    await expect(
+      resolve({}, {}, { req: { auth: { admin: true } } }, stubinfo)
+    ).resolves.toBe(true)
+  })
+
+  test('permission placeholder, resolves value from resolver arguments', async () => {
+    const resolve = graphqlJwtScope().withScope('user:{args.id}', () => true)
+
+    await expect(
+      resolve({}, { id: '1' }, stubcontext('user:1'), stubinfo)
+    ).resolves.toBe(true)
+    await expect(
+      resolve({}, { id: '2' }, stubcontext('user:1'), stubinfo)
+    ).rejects.toThrow(ForbiddenError)
+  })
+
+  test('custom checker, receives resolver arguments', async () => {
+    const callable = jest.fn().mockReturnValue(true)
+    const context = stubcontext('read')
+    await graphqlJwtScope().withScope(callable)(
+      { id: 1 },
+      {},
+      context,
+      stubinfo
+    )
+
+    expect(callable).toHaveBeenCalledWith(
+      [['read']],
+      expect.objectContaining({
+        req: { source: { id: 1 }, args: {}, context, info: stubinfo }
+      })
+    )
+  })
+
+  test('resolver is omitted, resolves field of source object', async () => {
+    const resolve = graphqlJwtScope().withScope('read')
+    await expect(
+      resolve({ email: 'a@b.c' }, {}, stubcontext('read'), stubinfo)
+    ).resolves.toBe('a@b.c')
+  })
+
+  test('decision event, reports field coordinate', async () => {
+    const onDecision = jest.fn()
+    const resolve = graphqlJwtScope({ onDecision }).withScope('read', () => 1)
+    await resolve({}, {}, stubcontext('read'), stubinfo)
+    await new Promise(resolve => setImmediate(resolve))
+
+    expect(onDecision).toHaveBeenCalledWith(
+      expect.objectContaining({
+        source: 'graphql',
+        route: 'User.email',
+        permission: 'read',
+        result: true
+      })
+    )
+  })
+})
+
+describe('scopeDirective function', () => {
+  const { scopeDirective } = graphqlJwtScope()
+  const { transformer, typeDefs } = scopeDirective()
+  const schema = transformer(
+    buildSchema(`
+      ${typeDefs}
+
+      type User {
+        id: ID!
+        email: String @scope(requires: "user:email")
+      }
+
+      type Report @scope(requires: "report:read") {
+        title: String
+        total: Int @scope(requires: "report:total")
+      }
+
+      type Query {
+        me: User
+        report: Report
+      }
+    `)
+  )
+  const rootValue = {
+    me: { id: '1', email: 'user@example.com' },
+    report: { title: 'Sales', total: 10 }
+  }
+  const execute = (source, scope) =>
+    graphql({ schema, source, rootValue, contextValue: stubcontext(scope) })
+
+  test('field with directive, resolves value if permission is granted', async () => {
+    const result = await execute('{ me { id email } }', 'user:email')
+    expect(result).toEqual({
+      data: { me: { id: '1', email: 'user@example.com' } }
+    })
+  })
+
+  test('field with directive, resolves FORBIDDEN error if permission is not granted', async () => {
+    const result = await execute('{ me { id email } }', 'user:read')
+    expect(result.data).toEqual({ me: { id: '1', email: null } })
+    expect(result.errors).toHaveLength(1)
+    expect(result.errors[0]).toMatchObject({
+      message: 'Forbidden',
+      path: ['me', 'email'],
+      extensions: { code: 'FORBIDDEN' }
+    })
+  })
+
+  test('object type with directive, requires permission for every field', async () => {
+    const denied = await execute('{ report { title } }', 'report:total')
+    expect(denied.data).toEqual({ report: { title: null } })
+
+    const partial = await execute('{ report { title total } }', 'report:read')
+    expect(partial.data).toEqual({ report: { title: 'Sales', total: null } })
+
+    const granted = await execute(
+      '{ report { title total } }',
+      'report:read,report:total'
+    )
+    expect(granted).toEqual({ data: { report: { title: 'Sales', total: 10 } } })
+  })
+
+  test('custom directive name, returns matching type definitions', () => {
+    expect(scopeDirective('auth').typeDefs).toBe(
+      'directive @auth(requires: String!) on OBJECT | FIELD_DEFINITION'
+    )
+  })
+
+  test('malformed directive argument, throws on transformation', () => {
+    const invalid = buildSchema(`
+      ${typeDefs}
+      type Query {
+        me: String @scope(requires: "user &")
+      }
+    `)
+    expect(() => transformer(invalid)).toThrow(ExpressionSyntaxError)
+  })
+})
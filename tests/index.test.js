@@ -1,3 +1,4 @@
+const express = require('express')
 const expressJwtScope = require('../index')
 
 const ADMIN_KEY = 'admin'
@@ -212,6 +213,134 @@ describe("check set of permissions using logical 'not'", () => {
   })
 })
 
+describe('immutable policies', () => {
+  test('chained methods, return new middleware and keep original', async () => {
+    const base = makeMiddleware()('user:read')
+    const derived = base.or('user:list')
+    const narrowed = derived.not('user:ban')
+    const next = jest.fn()
+
+    expect(derived).not.toBe(base)
+    await expect(base(stubrequest('user:list'))).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+    await derived(stubrequest('user:list,user:ban'), {}, next)
+    expect(next).toHaveBeenCalledWith()
+    await expect(
+      narrowed(stubrequest('user:list,user:ban'), {}, jest.fn())
+    ).rejects.toThrow(expressJwtScope.ForbiddenError)
+  })
+
+  test('policies, are frozen serializable descriptions', () => {
+    const jwtScope = makeMiddleware()
+    const canRead = jwtScope.any('doc:read', 'doc:admin')
+    const named = jwtScope.policy('readDocs', canRead)
+    const policy = jwtScope.all(
+      named,
+      jwtScope.none('doc:ban'),
+      function owner() {
+        return true
+      }
+    )
+
+    expect(Object.isFrozen(policy)).toBe(true)
+    expect(Object.isFrozen(policy.rules)).toBe(true)
+    expect(canRead).not.toHaveProperty('name')
+    expect(JSON.parse(JSON.stringify(policy))).toEqual({
+      type: 'all',
+      rules: [
+        {
+          type: 'any',
+          name: 'readDocs',
+          rules: [
+            { type: 'permission', permission: 'doc:read' },
+            { type: 'permission', permission: 'doc:admin' }
+          ]
+        },
+        {
+          type: 'none',
+          rules: [{ type: 'permission', permission: 'doc:ban' }]
+        },
+        { type: 'callback', name: 'owner' }
+      ]
+    })
+  })
+
+  test.each([
+    ['doc:read', true],
+    ['doc:admin', true],
+    ['doc:read,doc:ban', false],
+    ['doc:write', false]
+  ])('nested policy, %s resolves %s', async (scope, expected) => {
+    const jwtScope = makeMiddleware()
+    const policy = jwtScope.all(
+      jwtScope.any('doc:read', 'doc:admin'),
+      jwtScope.none('doc:ban')
+    )
+    const next = jest.fn()
+    const result = await jwtScope(policy)(stubrequest(scope), {}, next).then(
+      () => true,
+      () => false
+    )
+    expect(result).toBe(expected)
+  })
+
+  test('policy, can be shared between routes and combined with permissions', async () => {
+    const jwtScope = makeMiddleware({ adminKey: ADMIN_KEY })
+    const canRead = jwtScope.any('doc:read', 'doc:admin')
+    const reader = jwtScope(canRead)
+    const editor = jwtScope(canRead, 'doc:write')
+    const next = jest.fn()
+
+    await reader(stubrequest('doc:read'), {}, next)
+    await expect(editor(stubrequest('doc:read'))).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+    await editor(stubrequest('doc:read,doc:write'), {}, next)
+    await editor(stubrequest('', true), {}, next)
+    expect(next).toHaveBeenCalledTimes(3)
+    expect(
+      jwtScope
+        .registry(express.Router().use(reader, editor))
+        .map(({ expression }) => expression)
+    ).toEqual([
+      '<admin> | doc:read | doc:admin',
+      '<admin> | (doc:read | doc:admin) & doc:write'
+    ])
+  })
+
+  test('policy, is accepted by request methods', async () => {
+    const jwtScope = makeMiddleware({ adminKey: ADMIN_KEY })
+    const canEdit = jwtScope.policy(
+      'canEdit',
+      jwtScope.all('doc:write', jwtScope.none('doc:locked'))
+    )
+    const req = stubrequest('doc:read,doc:write')
+    await jwtScope('doc:read')(req, {}, jest.fn())
+
+    await expect(req.permissions.hasPermission(canEdit)).resolves.toBe(true)
+    await expect(
+      req.permissions.allowed(jwtScope.any('doc:admin', 'doc:owner'))
+    ).resolves.toBe(false)
+  })
+
+  test('policy, is validated on creation', () => {
+    const jwtScope = makeMiddleware({ vocabulary: { doc: ['read'] } })
+    expect(() => jwtScope.all()).toThrow(expressJwtScope.ExpressJwtScopeError)
+    expect(() => jwtScope.any('doc:read', 'doc:raed')).toThrow(
+      "Unknown permission 'doc:raed', did you mean 'doc:read'?"
+    )
+    expect(() => jwtScope.none('doc read')).toThrow(
+      expressJwtScope.ExpressJwtScopeError
+    )
+    expect(() => jwtScope.any('doc:read', 42)).toThrow(TypeError)
+    expect(() => jwtScope.policy('', jwtScope.any('doc'))).toThrow(TypeError)
+    expect(() => jwtScope.policy('doc', { type: 'any', rules: [] })).toThrow(
+      TypeError
+    )
+  })
+})
+
 describe('request attachment methods', () => {
   test('attached only on successful verification, expect undefined', async () => {
     const falsy = jest.fn().mockReturnValue(false)
@@ -278,6 +407,137 @@ describe('request attachment methods', () => {
     expect(await req.permissions.hasPermission('delete')).toBe(false)
   })
 
+  test('list, returns normalized granted permissions', async () => {
+    const middleware = makeMiddleware({
+      roles: { editor: ['doc:read', 'doc:write'] }
+    })('read')
+    const req = stubrequest(['read', 'user:*'])
+    req[TOKEN_KEY].roles = ['editor']
+    await middleware(req, {}, jest.fn())
+    expect(req.permissions.list()).toEqual([
+      'read',
+      'user:*',
+      'doc:read',
+      'doc:write'
+    ])
+  })
+
+  test.each([
+    ['project:42:read,project:7:*,project:9:write', 'read', false, ['42', '7']],
+    ['project:42:read,project:7,project:8:*', undefined, false, ['7', '8']],
+    ['project:*:read,project:42:read', 'read', true, []],
+    ['project:**', 'read', true, []],
+    ['project,project:*:write', 'read', false, []],
+    ['org:acme:project:read', 'read', false, []]
+  ])(
+    'scopesFor, granted %s with action %s returns all %s and values %j',
+    async (scope, action, all, values) => {
+      const middleware = makeMiddleware()(() => true)
+      const req = stubrequest(scope)
+      await middleware(req, {}, jest.fn())
+      expect(req.permissions.scopesFor('project', { action })).toEqual({
+        all,
+        values
+      })
+    }
+  )
+
+  test('scopesFor, validates arguments', async () => {
+    const middleware = makeMiddleware()('project:42:read')
+    const req = stubrequest('project:42:read')
+    await middleware(req, {}, jest.fn())
+    expect(req.permissions.scopesFor('org:acme')).toEqual({
+      all: false,
+      values: []
+    })
+    expect(() => req.permissions.scopesFor()).toThrow(TypeError)
+    expect(() => req.permissions.scopesFor('project:*')).toThrow(
+      expressJwtScope.ExpressJwtScopeError
+    )
+    expect(() =>
+      req.permissions.scopesFor('project', { action: '{params.action}' })
+    ).toThrow("action can't contain placeholders")
+  })
+
+  test('hasPermissionSync, returns boolean', async () => {
+    const jwtScope = makeMiddleware()
+    const req = Object.assign(stubrequest('doc:read,doc:42:edit'), {
+      params: { id: '42' }
+    })
+    await jwtScope('doc:read')(req, {}, jest.fn())
+
+    expect(req.permissions.hasPermissionSync('doc:read')).toBe(true)
+    expect(req.permissions.hasPermissionSync('doc:{params.id}:edit')).toBe(true)
+    expect(req.permissions.hasPermissionSync('doc:delete')).toBe(false)
+    expect(
+      req.permissions.hasPermissionSync(
+        jwtScope.all('doc:read', jwtScope.none('doc:ban'))
+      )
+    ).toBe(true)
+  })
+
+  test('batch checks, return results of every permission', async () => {
+    const jwtScope = makeMiddleware()
+    const req = Object.assign(stubrequest('doc:read,doc:edit'), {
+      method: 'PUT'
+    })
+    await jwtScope('doc:read')(req, {}, jest.fn())
+
+    expect(req.permissions.hasAll(['doc:read', 'doc:edit'])).toBe(true)
+    expect(req.permissions.hasAll(['doc:read', 'doc:delete'])).toBe(false)
+    expect(req.permissions.hasAny(['doc:delete', 'doc:edit'])).toBe(true)
+    expect(req.permissions.hasAny([])).toBe(false)
+    expect(
+      req.permissions.check({
+        canEdit: 'doc:edit',
+        canDelete: 'doc:delete',
+        canUpdate: jwtScope.where({ 'req.method': ['PUT', 'PATCH'] })
+      })
+    ).toEqual({ canEdit: true, canDelete: false, canUpdate: true })
+  })
+
+  test('batch checks, emit decision event for every permission', async () => {
+    const onDecision = jest.fn()
+    const middleware = makeMiddleware({ onDecision })('doc:read')
+    const req = stubrequest('doc:read')
+    await middleware(req, {}, jest.fn())
+    onDecision.mockClear()
+
+    req.permissions.hasAll(['doc:delete', 'doc:read'])
+    await Promise.resolve()
+    expect(onDecision.mock.calls.map(([event]) => event)).toEqual([
+      expect.objectContaining({
+        source: 'hasPermission',
+        permission: 'doc:delete',
+        result: false
+      }),
+      expect.objectContaining({
+        source: 'hasPermission',
+        permission: 'doc:read',
+        result: true
+      })
+    ])
+  })
+
+  test('synchronous checks, reject custom checker functions', async () => {
+    const jwtScope = makeMiddleware()
+    const req = stubrequest('doc:read')
+    await jwtScope('doc:read')(req, {}, jest.fn())
+    const owner = jest.fn().mockReturnValue(true)
+
+    expect(() => req.permissions.hasPermissionSync(owner)).toThrow(
+      'Synchronous check expected a permission string or policy, got function'
+    )
+    expect(() =>
+      req.permissions.check({ canEdit: jwtScope.all('doc:read', owner) })
+    ).toThrow(
+      "Synchronous check can't evaluate custom checker functions of the policy"
+    )
+    expect(() => req.permissions.hasAll('doc:read')).toThrow(TypeError)
+    expect(() => req.permissions.check(['doc:read'])).toThrow(TypeError)
+    expect(owner).not.toHaveBeenCalled()
+  })
+
   test('isAdmin, expect true', async () => {
     const middleware = makeMiddleware({
       adminKey: ADMIN_KEY,
@@ -299,3 +559,1743 @@ describe('request attachment methods', () => {
     expect(req.permissions.isAdmin()).toBe(false)
   })
 })
+
+describe('permission expression', () => {
+  test('expression is satisfied, resolves true', async () => {
+    const middleware = makeMiddleware().expr(
+      '(read | user:read & user:write) & !user:ban'
+    )
+    const req = stubrequest('user:read,user:write')
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('grouped alternatives, resolves true', async () => {
+    const middleware = makeMiddleware().expr('(a | b) & (c | d)')
+    const req = stubrequest('b,c')
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('expression is not satisfied, rejects ForbiddenError', async () => {
+    const middleware = makeMiddleware().expr(
+      '(read | user:read & user:write) & !user:ban'
+    )
+    const req = stubrequest('read,user:*')
+    await expect(middleware(req)).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+  })
+
+  test('admin claim is set, resolves true', async () => {
+    const middleware = makeMiddleware({ adminKey: ADMIN_KEY }).expr('write')
+    const req = stubrequest('read', true)
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('chaining methods are available, resolves true', async () => {
+    const middleware = makeMiddleware().expr('read & write').or('delete')
+    const req = stubrequest('delete')
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('invalid expression, throws ExpressionSyntaxError', () => {
+    const factory = makeMiddleware()
+    expect(() => factory.expr('read & user:*')).toThrow(
+      expressJwtScope.ExpressionSyntaxError
+    )
+  })
+
+  test('claimScopeDelimiter is an operator, throws ExpressJwtScopeError', () => {
+    const factory = makeMiddleware({ claimScopeDelimiter: '|' })
+    expect(() => factory.expr('read')).toThrow(
+      expressJwtScope.ExpressJwtScopeError
+    )
+  })
+})
+
+describe('role-based permissions', () => {
+  const roles = {
+    viewer: ['doc:read'],
+    editor: ['viewer', 'doc:write'],
+    billing_admin: ['invoice:*']
+  }
+
+  test('permission granted through nested role, resolves true', async () => {
+    const middleware = makeMiddleware({ roles })('doc:read', 'doc:write')
+    const req = stubrequest('')
+    req[TOKEN_KEY].roles = ['editor']
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('role and scope permissions are merged, resolves true', async () => {
+    const middleware = makeMiddleware({ roles, rolesKey: 'realm.roles' })(
+      'invoice:pay',
+      'user:read'
+    )
+    const req = stubrequest('user:read')
+    req[TOKEN_KEY].realm = { roles: 'billing_admin' }
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('role lacks permission, rejects ForbiddenError', async () => {
+    const middleware = makeMiddleware({ roles })('doc:write')
+    const req = stubrequest('')
+    req[TOKEN_KEY].roles = ['viewer', 'unknown']
+    await expect(middleware(req)).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+  })
+
+  test('malformed roles claim, rejects ForbiddenError', async () => {
+    const middleware = makeMiddleware({ roles })('doc:read')
+    const req = stubrequest('doc:read')
+    req[TOKEN_KEY].roles = { viewer: true }
+    await expect(middleware(req)).rejects.toThrow(
+      'Fail to read granted permissions'
+    )
+  })
+
+  test('roles are available to request methods, resolves true', async () => {
+    const middleware = makeMiddleware({ roles })('doc:read')
+    const req = stubrequest('')
+    req[TOKEN_KEY].roles = ['editor']
+    await middleware(req, {}, jest.fn())
+    await expect(req.permissions.hasPermission('doc:write')).resolves.toBe(true)
+  })
+})
+
+describe('permission implications', () => {
+  const implies = {
+    'user:write': 'user:read',
+    'user:read': 'user:list',
+    'admin:*': 'audit:read'
+  }
+
+  test('implied permission, resolves true', async () => {
+    const middleware = makeMiddleware({ implies })('user:read')
+    const req = stubrequest('user:write')
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('transitively implied permission, resolves true', async () => {
+    const middleware = makeMiddleware({ implies })('user:list')
+    const req = stubrequest('user:write')
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('implication from wildcard source, resolves true', async () => {
+    const middleware = makeMiddleware({ implies })('audit:read')
+    const req = stubrequest('admin:*')
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('permission narrower than wildcard source, rejects ForbiddenError', async () => {
+    const middleware = makeMiddleware({ implies })('audit:read')
+    const req = stubrequest('admin:users')
+    await expect(middleware(req)).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+  })
+
+  test('implication is one-way, rejects ForbiddenError', async () => {
+    const middleware = makeMiddleware({ implies })('user:write')
+    const req = stubrequest('user:read')
+    await expect(middleware(req)).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+  })
+
+  test('implied permissions in request methods, resolves true', async () => {
+    const middleware = makeMiddleware({ implies })('user:write')
+    const req = stubrequest('user:write')
+    await middleware(req, {}, jest.fn())
+    await expect(req.permissions.hasPermission('user:list')).resolves.toBe(true)
+    await expect(req.permissions.allowed('audit:read')).resolves.toBe(false)
+  })
+
+  test('circular implication, throws ExpressJwtScopeError', () => {
+    expect(() => makeMiddleware({ implies: { a: 'b', b: 'a' } })).toThrow(
+      expressJwtScope.ExpressJwtScopeError
+    )
+  })
+})
+
+describe('request property references', () => {
+  test('resolved permission is granted, resolves true', async () => {
+    const middleware = makeMiddleware()('project:{params.id}:write')
+    const req = stubrequest('project:42:write')
+    req.params = { id: '42' }
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('resolved permission is not granted, rejects ForbiddenError', async () => {
+    const middleware = makeMiddleware()('project:{params.id}:write')
+    const req = stubrequest('project:42:write')
+    req.params = { id: '43' }
+    await expect(middleware(req)).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+  })
+
+  describe('resolved value has invalid format, rejects ForbiddenError', () => {
+    test.each([{}, { org: 'acme:*' }, { org: ['acme'] }, { org: '' }])(
+      '%o',
+      async query => {
+        const middleware = makeMiddleware().expr('org:{query.org} | read')
+        const req = stubrequest('org:*')
+        req.query = query
+        await expect(middleware(req)).rejects.toThrow(
+          expressJwtScope.ForbiddenError
+        )
+      }
+    )
+  })
+
+  test('reference in request methods, resolves true', async () => {
+    const middleware = makeMiddleware()('read')
+    const req = stubrequest('read,project:7:*')
+    req.params = { id: 7 }
+    await middleware(req, {}, jest.fn())
+    await expect(
+      req.permissions.hasPermission('project:{params.id}:read')
+    ).resolves.toBe(true)
+  })
+
+  test('malformed reference, throws ExpressJwtScopeError', () => {
+    const factory = makeMiddleware()
+    expect(() => factory('project:{params id}')).toThrow(
+      expressJwtScope.ExpressJwtScopeError
+    )
+  })
+})
+
+describe('recursive and glob wildcard matching', () => {
+  test('granted recursive wildcard scope, resolves true', async () => {
+    const middleware = makeMiddleware()('org:acme:team:member:read')
+    const req = stubrequest('org:acme:**')
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('granted glob scope with `segmentGlob` enabled, resolves true', async () => {
+    const middleware = makeMiddleware({ segmentGlob: true })('report:sales_eu')
+    const req = stubrequest('report:sales_*')
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('granted glob scope with `segmentGlob` disabled, rejects ForbiddenError', async () => {
+    const middleware = makeMiddleware()('report:sales_eu')
+    const req = stubrequest('report:sales_*')
+    await expect(middleware(req)).rejects.toThrow(
+      'Fail to read granted permissions'
+    )
+  })
+})
+
+describe('claim grammar', () => {
+  test('oauth grammar, accepts dotted and hyphenated scopes', async () => {
+    const middleware = makeMiddleware({
+      claimDelimiter: ' ',
+      claimGrammar: 'oauth'
+    })('repo.status')
+    const req = stubrequest('read-only repo.status')
+    const next = jest.fn()
+    await middleware(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+    await expect(req.permissions.hasPermission('read-only')).resolves.toBe(true)
+  })
+
+  test('uri grammar, matches URI and wildcard scopes', async () => {
+    const factory = makeMiddleware({ claimDelimiter: ' ', claimGrammar: 'uri' })
+    const req = stubrequest(
+      'https://graph.example.com/Files.Read urn:example:*'
+    )
+    const next = jest.fn()
+    await factory('https://graph.example.com/Files.Read')(req, {}, next)
+    await factory.expr('urn:example:users & !https://example.com/ban')(
+      req,
+      {},
+      next
+    )
+    expect(next).toHaveBeenCalledTimes(2)
+  })
+
+  test('custom charset, validates requested and granted permissions', async () => {
+    const factory = makeMiddleware({ claimGrammar: { charset: '[a-z.-]' } })
+    expect(() => factory('Repo.status')).toThrow(
+      expressJwtScope.ExpressJwtScopeError
+    )
+    await expect(
+      factory('repo.status')(stubrequest('Repo.status'))
+    ).rejects.toThrow('Fail to read granted permissions')
+  })
+
+  test('strict grammar, rejects dotted scopes', async () => {
+    await expect(
+      makeMiddleware()('read')(stubrequest('read,repo.status'))
+    ).rejects.toThrow('Fail to read granted permissions')
+  })
+})
+
+describe('multiple scope sources', () => {
+  const sources = [
+    { path: 'scp', delimiter: ' ' },
+    { path: 'roles', prefix: 'app' },
+    { path: ['permissions'] }
+  ]
+  const azureToken = {
+    scp: 'User.Read Files.Read',
+    roles: ['Reports.Export'],
+    permissions: 'read,write'
+  }
+
+  test('permissions of all sources are merged, resolves true', async () => {
+    const factory = makeMiddleware({
+      claimGrammar: 'oauth',
+      scopeKey: sources
+    })
+    const req = { [TOKEN_KEY]: azureToken }
+    const next = jest.fn()
+    await factory('User.Read', 'app:Reports.Export', 'write')(req, {}, next)
+    expect(next).toHaveBeenCalledWith()
+    await expect(req.permissions.hasPermission('Reports.Export')).resolves.toBe(
+      false
+    )
+  })
+
+  test('malformed source and `invalidScope` is `fail`, rejects ForbiddenError', async () => {
+    const middleware = makeMiddleware({
+      claimGrammar: 'oauth',
+      scopeKey: sources
+    })('write')
+    const req = { [TOKEN_KEY]: Object.assign({}, azureToken, { roles: 1 }) }
+    await expect(middleware(req)).rejects.toThrow(
+      'Fail to read granted permissions'
+    )
+  })
+
+  test('malformed source and `invalidScope` is `skip`, emits warning', async () => {
+    const emitWarning = jest
+      .spyOn(process, 'emitWarning')
+      .mockImplementation(() => {})
+    const factory = makeMiddleware({
+      claimGrammar: 'oauth',
+      invalidScope: 'skip',
+      scopeKey: sources
+    })
+    const req = { [TOKEN_KEY]: Object.assign({}, azureToken, { roles: 1 }) }
+    const next = jest.fn()
+    await factory('write')(req, {}, next)
+    await expect(factory('app:Reports.Export')(req)).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+
+    expect(next).toHaveBeenCalledWith()
+    expect(emitWarning).toHaveBeenCalledWith(
+      "Skipped malformed granted permissions at 'roles'",
+      'ExpressJwtScopeWarning'
+    )
+    emitWarning.mockRestore()
+  })
+
+  test.each([
+    ['source is not an object', [{ path: 'scp' }, 'roles'], TypeError],
+    ['empty path', [{ path: '' }], TypeError],
+    [
+      'delimiter equals claimScopeDelimiter',
+      [{ path: 'scp', delimiter: ':' }],
+      expressJwtScope.ExpressJwtScopeError
+    ],
+    [
+      'prefix has wildcard',
+      [{ path: 'scp', prefix: 'app:*' }],
+      expressJwtScope.ExpressJwtScopeError
+    ]
+  ])('%s, throws on configuration', (_, scopeKey, errorClass) => {
+    expect(() => makeMiddleware({ scopeKey })).toThrow(errorClass)
+  })
+})
+
+describe('route permission registry', () => {
+  test('factory registry, reports mounted permissions', () => {
+    const factory = makeMiddleware({ adminKey: ADMIN_KEY })
+    const read = factory('user:read')
+    const router = express.Router()
+    router.use(read.or('user:list').not('user:ban'))
+    router.get('/posts', factory.expr('post:read & !ban').promisify(), () => {})
+
+    expect(factory.registry(router)).toEqual([
+      {
+        expression: '(<admin> | user:read | user:list) & !user:ban',
+        rule: expect.objectContaining({ type: 'all' })
+      },
+      {
+        expression: '<admin> | post:read & !ban',
+        rule: expect.objectContaining({ type: 'any' })
+      }
+    ])
+  })
+
+  test('factory registry, skips handlers of other factories', () => {
+    const factory = makeMiddleware()
+    const router = express.Router()
+    router.use(makeMiddleware()('admin'))
+    router.use('/users', express.Router().get('/', factory('user:list')))
+    factory('user:read')
+
+    const app = express()
+    app.use(factory('api'), router)
+
+    expect(factory.registry(app).map(({ expression }) => expression)).toEqual([
+      'api',
+      'user:list'
+    ])
+  })
+
+  test('express application, maps routes to requirements', () => {
+    const factory = makeMiddleware()
+    const handler = () => {}
+    const router = express.Router()
+    router.use('/admin', factory('admin'))
+    router.get('/users/:id', factory('user:read'), handler)
+    router
+      .route('/posts')
+      .get(factory('post:read').promisify(), handler)
+      .post(factory('post:write'), handler)
+    router.get('/admin/stats', handler)
+
+    const app = express()
+    app.use(factory('api'))
+    app.use('/v1/:org', router)
+    app.route('/status').all(handler)
+
+    expect(
+      expressJwtScope
+        .routePermissions(app)
+        .map(route => [
+          route.method,
+          route.path,
+          route.requirements.map(({ expression }) => expression)
+        ])
+    ).toEqual([
+      ['GET', '/v1/:org/users/:id', ['api', 'user:read']],
+      ['GET', '/v1/:org/posts', ['api', 'post:read']],
+      ['POST', '/v1/:org/posts', ['api', 'post:write']],
+      ['GET', '/v1/:org/admin/stats', ['api', 'admin']],
+      ['ALL', '/status', ['api']]
+    ])
+  })
+
+  test('express application, expands mapped routes', () => {
+    const factory = makeMiddleware()
+    const router = express.Router()
+    router.use(
+      factory
+        .routes({ 'GET /': 'user:list', '* /users/:id': 'user:write' })
+        .promisify()
+    )
+    const app = express()
+    app.use(factory('api'))
+    app.use('/v1', router)
+
+    expect(
+      expressJwtScope
+        .routePermissions(app)
+        .map(route => [
+          route.method,
+          route.path,
+          route.requirements.map(({ expression }) => expression)
+        ])
+    ).toEqual([
+      ['GET', '/v1', ['api', 'user:list']],
+      ['ALL', '/v1/users/:id', ['api', 'user:write']]
+    ])
+  })
+})
+
+describe('route permission map', () => {
+  const routerequest = (method, path, scope, admin) =>
+    Object.assign(stubrequest(scope, admin), { method, path, params: {} })
+
+  const makeRoutes = options =>
+    makeMiddleware({ adminKey: ADMIN_KEY }).routes(
+      {
+        'GET /users/me': 'user:profile',
+        'GET /users/:id': 'user:{params.id}:read',
+        'DELETE /users/:id': ['user:delete', 'user:{params.id}:write'],
+        '* /admin/*': 'admin'
+      },
+      options
+    )
+
+  test.each([
+    ['GET', '/users/me', 'user:profile', true],
+    ['GET', '/users/42', 'user:42:read', true],
+    ['HEAD', '/users/42/', 'user:42:read', true],
+    ['GET', '/users/42', 'user:7:read', false],
+    ['DELETE', '/users/42', 'user:delete,user:42:write', true],
+    ['DELETE', '/users/42', 'user:delete', false],
+    ['POST', '/admin/users/42', 'admin', true],
+    ['PUT', '/admin/settings', 'user:profile', false],
+    ['GET', '/users/%E0%A4%A', 'user:profile', false]
+  ])('%s %s with %s, allowed %s', async (method, path, scope, expected) => {
+    const next = jest.fn()
+    const result = await makeRoutes()(
+      routerequest(method, path, scope),
+      {},
+      next
+    ).then(
+      () => true,
+      () => false
+    )
+    expect(result).toBe(expected)
+    expect(next).toHaveBeenCalledTimes(expected ? 1 : 0)
+  })
+
+  test('matched route, attaches permission methods and route parameters', async () => {
+    const req = routerequest('GET', '/users/42', 'user:42:read,user:list')
+    await makeRoutes()(req, {}, jest.fn())
+
+    expect(req.params).toEqual({ id: '42' })
+    await expect(req.permissions.hasPermission('user:list')).resolves.toBe(true)
+  })
+
+  test.each([
+    ['deny', 'user:list', undefined, expressJwtScope.ForbiddenError],
+    ['allow', 'user:list', true, undefined],
+    ['allow', undefined, undefined, expressJwtScope.UnauthorizedError],
+    ['passthrough', undefined, undefined, undefined]
+  ])(
+    'unmatched route and %s, scope %s',
+    async (unmatched, scope, hasPermissions, errorClass) => {
+      const routes = makeRoutes({ unmatched })
+      const req =
+        scope === undefined
+          ? { method: 'GET', path: '/posts' }
+          : routerequest('GET', '/posts', scope)
+      const next = jest.fn()
+      const result = routes(req, {}, next)
+
+      if (errorClass) {
+        await expect(result).rejects.toThrow(errorClass)
+        expect(next).not.toHaveBeenCalled()
+      } else {
+        await result
+        expect(next).toHaveBeenCalledWith()
+        expect(req.permissions !== undefined).toBe(!!hasPermissions)
+      }
+    }
+  )
+
+  test('promisify, passes errors to next', async () => {
+    const next = jest.fn()
+    await makeRoutes().promisify()(routerequest('GET', '/posts', ''), {}, next)
+    expect(next).toHaveBeenCalledWith(
+      expect.any(expressJwtScope.ForbiddenError)
+    )
+  })
+
+  test('mapped permissions, are reported by factory registry', () => {
+    const factory = makeMiddleware()
+    const middleware = factory.routes({
+      'GET /users/:id': 'user:{params.id}:read',
+      'POST /users': factory.any('user:create', 'user:admin')
+    })
+    expect(factory.registry(express.Router().use(middleware))).toEqual([
+      {
+        expression: '<routes>',
+        rule: {
+          type: 'routes',
+          routes: {
+            'GET /users/:id': {
+              type: 'permission',
+              permission: 'user:{params.id}:read'
+            },
+            'POST /users': {
+              type: 'any',
+              rules: [
+                { type: 'permission', permission: 'user:create' },
+                { type: 'permission', permission: 'user:admin' }
+              ]
+            }
+          },
+          unmatched: 'deny'
+        }
+      }
+    ])
+  })
+
+  test('unmatched route in report-only mode, calls next and reports decision', async () => {
+    const onDecision = jest.fn()
+    const onWarning = jest.fn()
+    const routes = makeMiddleware({ onDecision, onWarning })
+      .routes({ 'GET /users': 'user:list' })
+      .mode('report-only')
+    const req = routerequest('GET', '/posts', 'user:list')
+    const next = jest.fn()
+    await routes(req, {}, next)
+
+    expect(next).toHaveBeenCalledWith()
+    expect(req.permissions.isSoftDenied()).toBe(true)
+    expect(onWarning).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'would_deny', permission: '<routes>' })
+    )
+    await Promise.resolve()
+    expect(onDecision).toHaveBeenCalledWith(
+      expect.objectContaining({ permission: '<routes>', result: false })
+    )
+  })
+
+  test.each([
+    ['GET', '/users', 'scope="user:list"'],
+    ['GET', '/posts', undefined]
+  ])(
+    'denied %s %s, challenges with scope of the matched route',
+    async (method, path, scope) => {
+      const routes = makeMiddleware({
+        bearerChallenge: { realm: 'api' }
+      }).routes({ 'GET /users': 'user:list' })
+      const error = await routes(
+        routerequest(method, path, 'post:list'),
+        {}
+      ).catch(error => error)
+
+      expect(error).toBeInstanceOf(expressJwtScope.ForbiddenError)
+      const header = error.headers['WWW-Authenticate']
+      expect(header.includes('scope=')).toBe(scope !== undefined)
+      if (scope) {
+        expect(header).toContain(scope)
+      }
+    }
+  )
+
+  test('decision trace, reports matched route', async () => {
+    const routes = makeMiddleware({ trace: true }).routes({
+      'GET /users/:id': 'user:{params.id}:read'
+    })
+    const error = await routes(
+      routerequest('GET', '/users/42', 'user:7:read'),
+      {}
+    ).catch(error => error)
+
+    expect(error.trace.rule).toEqual({
+      type: 'routes',
+      route: 'GET /users/:id',
+      result: false,
+      rule: {
+        type: 'permission',
+        permission: 'user:{params.id}:read',
+        resolved: 'user:42:read',
+        matched: undefined,
+        result: false
+      }
+    })
+  })
+
+  test.each([
+    [
+      'lowercase method',
+      { 'get /users': 'user:read' },
+      expressJwtScope.ExpressJwtScopeError
+    ],
+    [
+      'missing path',
+      { GET: 'user:read' },
+      expressJwtScope.ExpressJwtScopeError
+    ],
+    [
+      'invalid permission',
+      { 'GET /users': 'user read' },
+      "Route 'GET /users': Invalid argument [1]: 'user read'"
+    ],
+    ['invalid value', { 'GET /users': 42 }, TypeError]
+  ])('%s, throws on startup', (_, map, error) => {
+    expect(() => makeMiddleware().routes(map)).toThrow(error)
+  })
+
+  test('invalid options, throw TypeError', () => {
+    expect(() => makeMiddleware().routes(['GET /users'])).toThrow(TypeError)
+    expect(() => makeMiddleware().routes({}, { unmatched: 'ignore' })).toThrow(
+      TypeError
+    )
+  })
+})
+
+describe('resource permissions', () => {
+  const methodrequest = (method, scope, admin) =>
+    Object.assign(stubrequest(scope, admin), { method, params: { id: '7' } })
+
+  const allowed = (middleware, req) =>
+    middleware(req, {}, jest.fn()).then(
+      () => true,
+      () => false
+    )
+
+  test.each([
+    ['GET', 'invoice:read', true],
+    ['HEAD', 'invoice:read', true],
+    ['POST', 'invoice:create', true],
+    ['PUT', 'invoice:update', true],
+    ['PATCH', 'invoice:update', true],
+    ['DELETE', 'invoice:delete', true],
+    ['DELETE', 'invoice:*', true],
+    ['GET', 'invoice:create,invoice:delete', false],
+    ['OPTIONS', 'invoice:*', false]
+  ])('%s with %s, allowed %s', async (method, scope, expected) => {
+    const middleware = makeMiddleware().resource('invoice')
+    await expect(
+      allowed(middleware, methodrequest(method, scope))
+    ).resolves.toBe(expected)
+  })
+
+  test.each([
+    ['DELETE', 'scope="invoice:delete"'],
+    ['OPTIONS', undefined]
+  ])(
+    'denied %s, challenges with scope of the method',
+    async (method, scope) => {
+      const middleware = makeMiddleware({
+        bearerChallenge: { realm: 'api' }
+      }).resource('invoice')
+      const error = await middleware(
+        methodrequest(method, 'invoice:read'),
+        {}
+      ).catch(error => error)
+
+      expect(error).toBeInstanceOf(expressJwtScope.ForbiddenError)
+      const header = error.headers['WWW-Authenticate']
+      expect(header.includes('scope=')).toBe(scope !== undefined)
+      if (scope) {
+        expect(header).toContain(scope)
+      }
+    }
+  )
+
+  test('actions and requires, override method requirements', async () => {
+    const jwtScope = makeMiddleware()
+    const middleware = jwtScope.resource('invoice', {
+      actions: { POST: 'issue', DELETE: null, REFUND: 'refund' },
+      requires: {
+        PATCH: 'invoice:approve',
+        REFUND: jwtScope.none('invoice:locked')
+      }
+    })
+
+    await expect(
+      allowed(middleware, methodrequest('POST', 'invoice:issue'))
+    ).resolves.toBe(true)
+    await expect(
+      allowed(middleware, methodrequest('DELETE', 'invoice:*'))
+    ).resolves.toBe(false)
+    await expect(
+      allowed(middleware, methodrequest('PATCH', 'invoice:update'))
+    ).resolves.toBe(false)
+    await expect(
+      allowed(
+        middleware,
+        methodrequest('PATCH', 'invoice:update,invoice:approve')
+      )
+    ).resolves.toBe(true)
+    await expect(
+      allowed(middleware, methodrequest('REFUND', 'invoice:refund'))
+    ).resolves.toBe(true)
+    await expect(
+      allowed(middleware, methodrequest('REFUND', 'invoice:*'))
+    ).resolves.toBe(false)
+  })
+
+  test('admin rule and placeholders, apply to resource', async () => {
+    const middleware = makeMiddleware({ adminKey: ADMIN_KEY }).resource(
+      'invoice:{params.id}'
+    )
+
+    await expect(
+      allowed(middleware, methodrequest('PUT', 'invoice:7:update'))
+    ).resolves.toBe(true)
+    await expect(
+      allowed(middleware, methodrequest('PUT', 'invoice:8:update'))
+    ).resolves.toBe(false)
+    await expect(
+      allowed(middleware, methodrequest('PUT', '', true))
+    ).resolves.toBe(true)
+  })
+
+  test('decision trace and registry, describe resource rule', async () => {
+    const jwtScope = makeMiddleware({ trace: true })
+    const req = methodrequest('get', 'invoice:*')
+    const middleware = jwtScope.resource('invoice', {
+      actions: { PUT: null, PATCH: null }
+    })
+    await middleware(req, {}, jest.fn())
+
+    expect(req.permissions.explain().rule).toEqual({
+      type: 'resource',
+      name: 'invoice',
+      method: 'GET',
+      result: true,
+      rule: {
+        type: 'permission',
+        permission: 'invoice:read',
+        matched: 'invoice:*',
+        result: true
+      }
+    })
+    expect(jwtScope.registry(express.Router().use(middleware))).toEqual([
+      {
+        expression: '<resource:invoice>',
+        rule: {
+          type: 'resource',
+          name: 'invoice',
+          methods: {
+            GET: { type: 'permission', permission: 'invoice:read' },
+            HEAD: { type: 'permission', permission: 'invoice:read' },
+            POST: { type: 'permission', permission: 'invoice:create' },
+            DELETE: { type: 'permission', permission: 'invoice:delete' }
+          }
+        }
+      }
+    ])
+  })
+
+  test.each([
+    ['invalid name', 'invoice read', {}, expressJwtScope.ExpressJwtScopeError],
+    ['name is not a string', 42, {}, TypeError],
+    [
+      'lower-case method',
+      'invoice',
+      { actions: { get: 'read' } },
+      expressJwtScope.ExpressJwtScopeError
+    ],
+    ['invalid action', 'invoice', { actions: { GET: '' } }, TypeError],
+    ['requires is not an object', 'invoice', { requires: 'admin' }, TypeError],
+    [
+      'requires method without action',
+      'invoice',
+      { requires: { OPTIONS: 'x' } },
+      expressJwtScope.ExpressJwtScopeError
+    ]
+  ])('%s, throws on configuration', (_, name, options, errorClass) => {
+    expect(() => makeMiddleware().resource(name, options)).toThrow(errorClass)
+  })
+})
+
+describe('permission vocabulary', () => {
+  const vocabulary = { user: ['read', 'write', 'profile:*'], report: [] }
+
+  test('unknown requested permission, throws with suggestions', () => {
+    const factory = makeMiddleware({ vocabulary })
+    expect(() => factory('usr:read')).toThrow(
+      "Unknown permission 'usr:read', did you mean 'user:read'?"
+    )
+    expect(() => factory.expr('report | user:raed')).toThrow(
+      expressJwtScope.ExpressJwtScopeError
+    )
+    expect(() => factory('read').or('user')).toThrow(
+      "Unknown permission 'read'"
+    )
+  })
+
+  test('known requested permissions, do not throw', () => {
+    const factory = makeMiddleware({ vocabulary })
+    expect(() => {
+      factory('user', 'report')
+      factory('user:profile:{params.id}').not('user:write')
+      factory.expr('user:read | user:profile:avatar')
+    }).not.toThrow()
+  })
+
+  test('unknown permission in request methods, rejects ExpressJwtScopeError', async () => {
+    const req = stubrequest('user:read')
+    await makeMiddleware({ vocabulary })('user:read')(req, {}, jest.fn())
+    await expect(req.permissions.hasPermission('user:reed')).rejects.toThrow(
+      expressJwtScope.ExpressJwtScopeError
+    )
+  })
+
+  test('unknown granted permissions, are reported to onWarning hook', async () => {
+    const onWarning = jest.fn()
+    const middleware = makeMiddleware({ onWarning, vocabulary })('user:read')
+    const next = jest.fn()
+    await middleware(stubrequest('user:*,admin:*,report'), {}, next)
+
+    expect(next).toHaveBeenCalledWith()
+    expect(onWarning).toHaveBeenCalledTimes(1)
+    expect(onWarning).toHaveBeenCalledWith({
+      type: 'unknown_permission',
+      message: "Unknown granted permissions at 'scope': 'admin:*'",
+      path: 'scope',
+      permissions: ['admin:*']
+    })
+  })
+
+  test('invalid vocabulary, throws on configuration', () => {
+    expect(() => makeMiddleware({ vocabulary: ['user:read'] })).toThrow(
+      TypeError
+    )
+    expect(() => makeMiddleware({ vocabulary: { user: 'read' } })).toThrow(
+      TypeError
+    )
+    expect(() => makeMiddleware({ vocabulary: { user: ['re ad'] } })).toThrow(
+      "Vocabulary has invalid permission 'user:re ad'"
+    )
+  })
+})
+
+describe('report-only mode', () => {
+  const reportOnly = options =>
+    makeMiddleware(
+      Object.assign({ mode: 'report-only', onWarning: jest.fn() }, options)
+    )
+
+  test('failed check, calls next and reports would deny warning', async () => {
+    const onWarning = jest.fn()
+    const middleware = reportOnly({ onWarning, subjectKey: 'id' })('write')
+    const req = Object.assign(stubrequest('read,user:list'), {
+      method: 'DELETE',
+      originalUrl: '/users/1'
+    })
+    req[TOKEN_KEY].id = 'user-1'
+    const next = jest.fn()
+    await middleware(req, {}, next)
+
+    expect(next).toHaveBeenCalledWith()
+    expect(req.permissions.isSoftDenied()).toBe(true)
+    await expect(req.permissions.hasPermission('read')).resolves.toBe(true)
+    expect(onWarning).toHaveBeenCalledWith({
+      type: 'would_deny',
+      message: "Would deny 'write' (evaluated)",
+      subject: 'user-1',
+      source: 'middleware',
+      method: 'DELETE',
+      path: '/users/1',
+      route: undefined,
+      permission: 'write',
+      reason: 'evaluated',
+      grantedScope: ['read', 'user:list']
+    })
+  })
+
+  test('passed check, is not soft denied', async () => {
+    const onWarning = jest.fn()
+    const req = stubrequest('write')
+    await reportOnly({ onWarning })('write')(req, {}, jest.fn())
+
+    expect(req.permissions.isSoftDenied()).toBe(false)
+    expect(onWarning).not.toHaveBeenCalled()
+  })
+
+  test('mode is set per middleware, keeps original middleware', async () => {
+    const enforced = makeMiddleware()('write')
+    const reported = enforced.mode('report-only').or('user:write')
+    const next = jest.fn()
+
+    await reported(stubrequest('read'), {}, next)
+    expect(next).toHaveBeenCalledWith()
+    await expect(enforced(stubrequest('read'))).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+    await expect(
+      reportOnly()('write').mode('enforce')(stubrequest('read'))
+    ).rejects.toThrow(expressJwtScope.ForbiddenError)
+  })
+
+  test('access token not found, rejects UnauthorizedError', async () => {
+    const onWarning = jest.fn()
+    const middleware = reportOnly({ onWarning })('read')
+    await expect(middleware({})).rejects.toThrow(
+      expressJwtScope.UnauthorizedError
+    )
+    expect(onWarning).not.toHaveBeenCalled()
+  })
+
+  test('access token not found and credentialsRequired is false, not soft denied', async () => {
+    const onWarning = jest.fn()
+    const middleware = reportOnly({ credentialsRequired: false, onWarning })(
+      'read'
+    )
+    const req = {}
+    const next = jest.fn()
+    await middleware(req, {}, next)
+
+    expect(next).toHaveBeenCalledWith()
+    expect(req.permissions.isSoftDenied()).toBe(false)
+    expect(onWarning).not.toHaveBeenCalled()
+  })
+
+  test('admin rule, grants access without report', async () => {
+    const onWarning = jest.fn()
+    const middleware = reportOnly({ adminKey: ADMIN_KEY, onWarning })('write')
+    const adminReq = stubrequest('read', true)
+    const userReq = stubrequest('read')
+    await middleware(adminReq, {}, jest.fn())
+    await middleware(userReq, {}, jest.fn())
+
+    expect(adminReq.permissions.isSoftDenied()).toBe(false)
+    expect(adminReq.permissions.isAdmin()).toBe(true)
+    expect(userReq.permissions.isSoftDenied()).toBe(true)
+    expect(userReq.permissions.isAdmin()).toBe(false)
+    expect(onWarning).toHaveBeenCalledTimes(1)
+    expect(onWarning).toHaveBeenCalledWith(
+      expect.objectContaining({ permission: '<admin> | write' })
+    )
+  })
+
+  test('malformed granted scope, rejects ForbiddenError', async () => {
+    const onWarning = jest.fn()
+    const req = stubrequest('read,')
+    await expect(reportOnly({ onWarning })('read')(req)).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+    expect(onWarning).not.toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'would_deny' })
+    )
+  })
+
+  test('unknown mode, throws TypeError', () => {
+    expect(() => makeMiddleware()('read').mode('dry-run')).toThrow(TypeError)
+  })
+})
+
+describe('attribute conditions', () => {
+  const ownerRequest = (scope, ownerId, admin) =>
+    Object.assign(stubrequest(scope, admin), { params: { ownerId } })
+
+  beforeEach(() => {
+    jest.spyOn(process, 'emitWarning').mockImplementation(() => undefined)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test.each([
+    ['doc:edit', '7', true],
+    ['doc:edit', '8', false],
+    ['doc:read', '7', false]
+  ])(
+    'where() chain, %s for owner %s resolves %s',
+    async (scope, ownerId, expected) => {
+      const middleware = makeMiddleware()('doc:edit').where({
+        'req.params.ownerId': '$token.sub'
+      })
+      const req = ownerRequest(scope, ownerId)
+      req[TOKEN_KEY].sub = 7
+      const result = await middleware(req, {}, jest.fn()).then(
+        () => true,
+        () => false
+      )
+      expect(result).toBe(expected)
+    }
+  )
+
+  test('where() chain, returns new middleware and keep original', async () => {
+    const base = makeMiddleware()('doc:edit')
+    const owned = base.where({ 'req.params.ownerId': '$token.sub' })
+    const next = jest.fn()
+
+    expect(owned).not.toBe(base)
+    await base(ownerRequest('doc:edit', '8'), {}, next)
+    expect(next).toHaveBeenCalledWith()
+    await expect(owned(ownerRequest('doc:edit', '8'))).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+  })
+
+  test('where() chain, applies to admin unlike condition policy', async () => {
+    const jwtScope = makeMiddleware({ adminKey: ADMIN_KEY })
+    const isOwner = jwtScope.where({ 'req.params.ownerId': '$token.sub' })
+    const next = jest.fn()
+
+    await expect(
+      jwtScope('doc:edit').where(isOwner.conditions)(
+        ownerRequest('', '8', true)
+      )
+    ).rejects.toThrow(expressJwtScope.ForbiddenError)
+    await jwtScope('doc:edit', isOwner)(ownerRequest('', '8', true), {}, next)
+    expect(next).toHaveBeenCalledWith()
+  })
+
+  test('condition policy, is frozen serializable description', () => {
+    const jwtScope = makeMiddleware()
+    const isOwner = jwtScope.policy(
+      'isOwner',
+      jwtScope.where({ 'req.params.ownerId': '$token.sub' })
+    )
+    const policy = jwtScope.all('doc:edit', isOwner)
+
+    expect(Object.isFrozen(isOwner)).toBe(true)
+    expect(Object.isFrozen(isOwner.conditions)).toBe(true)
+    expect(JSON.parse(JSON.stringify(policy))).toEqual({
+      type: 'all',
+      rules: [
+        { type: 'permission', permission: 'doc:edit' },
+        {
+          type: 'condition',
+          name: 'isOwner',
+          rules: [],
+          conditions: { 'req.params.ownerId': { $eq: '$token.sub' } }
+        }
+      ]
+    })
+  })
+
+  test('conditions, are reported in the registry', () => {
+    const jwtScope = makeMiddleware({ adminKey: ADMIN_KEY })
+    const router = express.Router()
+    router.use(jwtScope('doc:edit').where({ 'token.level': { $gte: 2 } }))
+    router.use(
+      jwtScope(
+        jwtScope.any('doc:admin', jwtScope.where({ 'req.method': ['GET'] }))
+      )
+    )
+
+    expect(jwtScope.registry(router)).toEqual([
+      {
+        expression: '(<admin> | doc:edit) & <token.level >= 2>',
+        rule: {
+          type: 'all',
+          rules: [
+            expect.objectContaining({ type: 'any' }),
+            {
+              type: 'condition',
+              conditions: { 'token.level': { $gte: 2 } }
+            }
+          ]
+        }
+      },
+      expect.objectContaining({
+        expression: '<admin> | doc:admin | <req.method in ["GET"]>'
+      })
+    ])
+  })
+
+  test('condition policy, is accepted by request methods', async () => {
+    const jwtScope = makeMiddleware()
+    const req = Object.assign(stubrequest('doc:read'), { method: 'GET' })
+    await jwtScope('doc:read')(req, {}, jest.fn())
+
+    await expect(
+      req.permissions.hasPermission(jwtScope.where({ 'req.method': 'GET' }))
+    ).resolves.toBe(true)
+    await expect(
+      req.permissions.allowed(jwtScope.where({ 'req.method': 'POST' }))
+    ).resolves.toBe(false)
+  })
+
+  test('failed condition, is reported in the decision trace', async () => {
+    const middleware = makeMiddleware({ trace: true, mode: 'report-only' })(
+      'doc:edit'
+    ).where({ 'req.params.ownerId': '$token.sub', 'token.level': 2 })
+    const req = ownerRequest('doc:edit', '7')
+    req[TOKEN_KEY].sub = '7'
+    await middleware(req, {}, jest.fn())
+
+    expect(req.permissions.explain().rule).toEqual({
+      type: 'all',
+      result: false,
+      rules: [
+        expect.objectContaining({ type: 'permission', result: true }),
+        {
+          type: 'condition',
+          conditions: {
+            'req.params.ownerId': { $eq: '$token.sub' },
+            'token.level': { $eq: 2 }
+          },
+          failed: 'token.level',
+          result: false
+        }
+      ]
+    })
+  })
+
+  test('invalid conditions, throw on creation', () => {
+    const jwtScope = makeMiddleware()
+    expect(() => jwtScope.where()).toThrow(TypeError)
+    expect(() => jwtScope('doc:edit').where({ 'res.id': 1 })).toThrow(
+      expressJwtScope.ExpressJwtScopeError
+    )
+    expect(() => jwtScope.where({ 'token.sub': { $like: 'a' } })).toThrow(
+      "Condition 'token.sub' has unknown operator '$like'"
+    )
+  })
+})
+
+describe('tenant namespaces', () => {
+  const tenantRequest = (scope, tenant) =>
+    Object.assign(stubrequest(scope), { headers: { 'x-tenant': tenant } })
+
+  test.each([
+    ['user:read', 'acme', true],
+    ['user:write', 'acme', false],
+    ['user:write', 'globex', true],
+    ['user:read', 'globex', false]
+  ])(
+    'permission %s in tenant %s, resolves %s',
+    async (permission, tenant, expected) => {
+      const middleware = makeMiddleware({ tenant: 'headers.x-tenant' })(
+        permission
+      )
+      const req = tenantRequest('t_acme:user:read,t_globex:user:write', tenant)
+      const result = await middleware(req, {}, jest.fn()).then(
+        () => true,
+        error => {
+          expect(error).not.toBeInstanceOf(expressJwtScope.TenantError)
+          return false
+        }
+      )
+      expect(result).toBe(expected)
+    }
+  )
+
+  test('request methods, only consider tenant and global permissions', async () => {
+    const middleware = makeMiddleware({
+      tenant: {
+        resolve: req => req.hostname.split('.')[0],
+        namespace: 't_{tenant}',
+        global: ['profile']
+      }
+    })('user:read')
+    const req = Object.assign(
+      stubrequest('t_acme:user:read,t_globex:user:write,profile:read,audit'),
+      { hostname: 'acme.example.com' }
+    )
+    await middleware(req, {}, jest.fn())
+
+    expect(req.permissions.list()).toEqual(['user:read', 'profile:read'])
+    await expect(req.permissions.hasPermission('profile:read')).resolves.toBe(
+      true
+    )
+    await expect(req.permissions.allowed('user:write')).resolves.toBe(false)
+    await expect(req.permissions.hasPermission('audit')).resolves.toBe(false)
+  })
+
+  test('vocabulary, checks granted permissions without namespace', async () => {
+    const onWarning = jest.fn()
+    const middleware = makeMiddleware({
+      onWarning,
+      vocabulary: { user: ['read'], profile: ['read'] },
+      tenant: { resolve: 'headers.x-tenant', namespace: 't_{tenant}' }
+    })('user:read')
+    await middleware(
+      tenantRequest(
+        't_acme:user:read,t_globex,profile:read,t_acme:audit',
+        'acme'
+      ),
+      {},
+      jest.fn()
+    )
+
+    expect(onWarning).toHaveBeenCalledTimes(1)
+    expect(onWarning).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'unknown_permission',
+        permissions: ['t_acme:audit']
+      })
+    )
+  })
+
+  test.each([
+    ['acme:doc:read,org:**', {}, false, 'tenant_denied'],
+    ['t_org:**', {}, false, 'evaluated'],
+    ['t_org:**', { namespace: 't_{tenant}' }, true, 'evaluated']
+  ])(
+    'claims %s in tenant org with %o, allowed %s',
+    async (scope, options, allowed, reason) => {
+      const checker = expressJwtScope.createChecker({
+        tenant: Object.assign({ resolve: 'headers.x-tenant' }, options)
+      })
+      const decision = await checker.check({ scope }, 'billing:delete', {
+        req: { headers: { 'x-tenant': 'org' } }
+      })
+      expect(decision).toMatchObject({ allowed, reason })
+    }
+  )
+
+  test('implications, apply to tenant permissions', async () => {
+    const middleware = makeMiddleware({
+      tenant: 'headers.x-tenant',
+      implies: { 'user:write': 'user:read' }
+    })('user:read')
+    const req = tenantRequest('t_acme:user:write', 'acme')
+    await middleware(req, {}, jest.fn())
+    expect(req.permissions.list()).toEqual(['user:write', 'user:read'])
+  })
+
+  test('role permissions, are granted in every tenant', async () => {
+    const middleware = makeMiddleware({
+      tenant: 'headers.x-tenant',
+      roles: { editor: ['doc:edit'] },
+      implies: { 'doc:edit': 'doc:read' }
+    })('doc:read')
+    const req = tenantRequest('t_acme:user:read', 'globex')
+    req[TOKEN_KEY].roles = ['editor']
+    await middleware(req, {}, jest.fn())
+    expect(req.permissions.list()).toEqual(['doc:edit', 'doc:read'])
+  })
+
+  test('custom checker, receives tenant', async () => {
+    const checker = jest.fn().mockReturnValue(true)
+    const middleware = makeMiddleware({ tenant: 'headers.x-tenant' })(checker)
+    await middleware(tenantRequest('t_acme:user', 'acme'), {}, jest.fn())
+    expect(checker).toHaveBeenCalledWith(
+      [['user']],
+      expect.objectContaining({ tenant: 'acme' })
+    )
+  })
+
+  test.each([undefined, '', 'ac:me', ['acme']])(
+    'tenant %p is missing or invalid, rejects TenantError',
+    async tenant => {
+      const middleware = makeMiddleware({ tenant: 'headers.x-tenant' })('user')
+      const error = await middleware(
+        tenantRequest('t_acme:user', tenant)
+      ).catch(error => error)
+      expect(error).toBeInstanceOf(expressJwtScope.TenantError)
+      expect(error).toBeInstanceOf(expressJwtScope.ForbiddenError)
+      expect(error).toMatchObject({
+        message: 'No tenant was found in the request',
+        reason: 'tenant_missing',
+        status: 403,
+        tenant: undefined
+      })
+    }
+  )
+
+  test('no permissions in tenant, rejects TenantError', async () => {
+    const onDecision = jest.fn()
+    const middleware = makeMiddleware({
+      onDecision,
+      tenant: { resolve: 'headers.x-tenant', global: ['profile'] }
+    })('profile')
+    const error = await middleware(
+      tenantRequest('t_acme:user,profile', 'globex')
+    ).catch(error => error)
+
+    expect(error).toBeInstanceOf(expressJwtScope.TenantError)
+    expect(error).toMatchObject({
+      message: "No permissions are granted in tenant 'globex'",
+      reason: 'tenant_denied',
+      tenant: 'globex'
+    })
+    await Promise.resolve()
+    expect(onDecision).toHaveBeenCalledWith(
+      expect.objectContaining({ reason: 'tenant_denied', result: false })
+    )
+  })
+
+  test('resolver throws, reports warning and rejects TenantError', async () => {
+    const onWarning = jest.fn()
+    const middleware = makeMiddleware({
+      onWarning,
+      tenant: () => {
+        throw new Error('unknown host')
+      }
+    })('user')
+    await expect(middleware(stubrequest('t_acme:user'))).rejects.toThrow(
+      'No tenant was found in the request'
+    )
+    expect(onWarning).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'tenant_unresolved',
+        message: 'Error: unknown host'
+      })
+    )
+  })
+
+  test('checker, returns tenant in decision', async () => {
+    const checker = expressJwtScope.createChecker({
+      tenant: { resolve: 'params.tenant', namespace: 't_{tenant}' }
+    })
+    const decision = await checker.check(
+      { scope: 't_acme:doc:read' },
+      'doc:read',
+      { req: { params: { tenant: 'acme' } } }
+    )
+    expect(decision).toMatchObject({
+      allowed: true,
+      reason: 'evaluated',
+      tenant: 'acme'
+    })
+  })
+})
+
+describe('decision trace', () => {
+  test('tracing is disabled, expect null', async () => {
+    const middleware = makeMiddleware()('read')
+    const req = stubrequest('read')
+    await middleware(req, {}, jest.fn())
+    expect(req.permissions.explain()).toBeNull()
+  })
+
+  test('successful check, returns rule tree with matched claims', async () => {
+    const middleware = makeMiddleware({ trace: true })
+      .expr('read & !user:ban')
+      .or('user')
+    const req = stubrequest('read,user:*')
+    await middleware(req, {}, jest.fn())
+    expect(req.permissions.explain()).toEqual({
+      result: true,
+      adminShortCircuit: false,
+      rule: {
+        type: 'any',
+        result: true,
+        rules: [
+          {
+            type: 'all',
+            result: false,
+            rules: [
+              {
+                type: 'permission',
+                permission: 'read',
+                matched: 'read',
+                result: true
+              },
+              {
+                type: 'not',
+                result: false,
+                rule: {
+                  type: 'permission',
+                  permission: 'user:ban',
+                  matched: 'user:*',
+                  result: true
+                }
+              }
+            ]
+          },
+          {
+            type: 'permission',
+            permission: 'user',
+            matched: 'user:*',
+            result: true
+          }
+        ]
+      }
+    })
+  })
+
+  test('admin rule short-circuits, returns skipped rules', async () => {
+    const callback = function ownProfile() {
+      return false
+    }
+    const middleware = makeMiddleware({ adminKey: ADMIN_KEY, trace: true })(
+      'write',
+      callback
+    )
+    const req = stubrequest('', true)
+    await middleware(req, {}, jest.fn())
+    expect(req.permissions.explain()).toEqual({
+      result: true,
+      adminShortCircuit: true,
+      rule: {
+        type: 'any',
+        result: true,
+        rules: [
+          { type: 'admin', key: ADMIN_KEY, result: true },
+          {
+            type: 'all',
+            skipped: true,
+            rules: [
+              { type: 'permission', permission: 'write' },
+              { type: 'callback', name: 'ownProfile' }
+            ]
+          }
+        ]
+      }
+    })
+  })
+
+  test('admin token denied by other rule, is not short-circuit', async () => {
+    const middleware = makeMiddleware({ adminKey: ADMIN_KEY, trace: true })(
+      'write'
+    ).not('ban')
+    const error = await middleware(stubrequest('ban', true)).catch(
+      error => error
+    )
+    expect(error).toBeInstanceOf(expressJwtScope.ForbiddenError)
+    expect(error.trace).toMatchObject({
+      result: false,
+      adminShortCircuit: false
+    })
+  })
+
+  test('failed check, attaches non-enumerable trace to ForbiddenError', async () => {
+    const middleware = makeMiddleware({ trace: true })(
+      'project:{params.id}:read'
+    )
+    const req = stubrequest('project:1:read')
+    req.params = { id: 2 }
+    const error = await middleware(req).catch(error => error)
+    expect(error).toBeInstanceOf(expressJwtScope.ForbiddenError)
+    expect(Object.keys(error)).not.toContain('trace')
+    expect(error.trace).toEqual({
+      result: false,
+      adminShortCircuit: false,
+      rule: {
+        type: 'permission',
+        permission: 'project:{params.id}:read',
+        resolved: 'project:2:read',
+        result: false
+      }
+    })
+  })
+})
+
+describe('decision audit hook', () => {
+  const flushPromises = () => new Promise(resolve => setImmediate(resolve))
+
+  const auditrequest = (scope, admin) =>
+    Object.assign(stubrequest(scope, admin), {
+      method: 'GET',
+      originalUrl: '/users/1?full=1',
+      baseUrl: '/users',
+      route: { path: '/:id' }
+    })
+
+  test('middleware allows access, emits decision event', async () => {
+    const onDecision = jest.fn()
+    const middleware = makeMiddleware({ onDecision, subjectKey: 'id' }).expr(
+      'read & !user:ban'
+    )
+    const req = auditrequest('read')
+    req[TOKEN_KEY].id = 'user-1'
+    await middleware(req, {}, jest.fn())
+    await flushPromises()
+
+    expect(onDecision).toHaveBeenCalledTimes(1)
+    expect(onDecision).toHaveBeenCalledWith({
+      source: 'middleware',
+      subject: 'user-1',
+      permission: 'read & !user:ban',
+      reason: 'evaluated',
+      result: true,
+      isAdmin: false,
+      method: 'GET',
+      path: '/users/1?full=1',
+      route: '/users/:id',
+      timestamp: expect.any(Date),
+      duration: expect.any(Number)
+    })
+  })
+
+  test('middleware denies access, emits decision event', async () => {
+    const onDecision = jest.fn()
+    const middleware = makeMiddleware({ adminKey: ADMIN_KEY, onDecision })(
+      'write'
+    )
+    const req = auditrequest('read')
+    await expect(middleware(req)).rejects.toThrow(
+      expressJwtScope.ForbiddenError
+    )
+    await flushPromises()
+
+    expect(onDecision).toHaveBeenCalledWith(
+      expect.objectContaining({
+        permission: '<admin> | write',
+        reason: 'evaluated',
+        result: false
+      })
+    )
+  })
+
+  test.each([
+    ['token_missing', {}],
+    ['scope_invalid', stubrequest('read,')]
+  ])('middleware fails with %s, emits decision event', async (reason, req) => {
+    const onDecision = jest.fn()
+    const middleware = makeMiddleware({ onDecision })('read')
+    await expect(middleware(req)).rejects.toThrow(Error)
+    await flushPromises()
+
+    expect(onDecision).toHaveBeenCalledWith(
+      expect.objectContaining({ reason, result: false })
+    )
+  })
+
+  test('request methods, emit decision events', async () => {
+    const onDecision = jest.fn()
+    const middleware = makeMiddleware({ adminKey: ADMIN_KEY, onDecision })(
+      'read'
+    )
+    const req = auditrequest('read,write', true)
+    await middleware(req, {}, jest.fn())
+    await req.permissions.hasPermission('delete')
+    await req.permissions.allowed('delete')
+    await flushPromises()
+
+    expect(onDecision).toHaveBeenCalledTimes(3)
+    expect(onDecision).toHaveBeenNthCalledWith(
+      2,
+      expect.objectContaining({
+        source: 'hasPermission',
+        permission: 'delete',
+        isAdmin: true,
+        result: false
+      })
+    )
+    expect(onDecision).toHaveBeenNthCalledWith(
+      3,
+      expect.objectContaining({
+        source: 'allowed',
+        permission: '<admin> | delete',
+        isAdmin: true,
+        result: true
+      })
+    )
+  })
+
+  describe('hook throws, access is still granted', () => {
+    test.each([
+      [
+        'synchronous error',
+        () => {
+          throw new Error('Sink is down')
+        }
+      ],
+      ['rejected promise', () => Promise.reject(new Error('Sink is down'))]
+    ])('%s', async (_, onDecision) => {
+      const warning = jest
+        .spyOn(process, 'emitWarning')
+        .mockImplementation(() => {})
+      const middleware = makeMiddleware({ onDecision })('read')
+      const req = auditrequest('read')
+      const next = jest.fn()
+      await middleware(req, {}, next)
+      await expect(req.permissions.hasPermission('read')).resolves.toBe(true)
+      await flushPromises()
+
+      expect(next).toHaveBeenCalledWith()
+      expect(warning).toHaveBeenCalledWith(new Error('Sink is down'))
+      warning.mockRestore()
+    })
+  })
+
+  test('hook is not awaited, calls next before hook settles', async () => {
+    let settle
+    const onDecision = jest.fn(() => new Promise(resolve => (settle = resolve)))
+    const middleware = makeMiddleware({ onDecision })('read')
+    const next = jest.fn()
+    await middleware(auditrequest('read'), {}, next)
+    await flushPromises()
+
+    expect(next).toHaveBeenCalledWith()
+    expect(onDecision).toHaveBeenCalled()
+    settle()
+  })
+})
+
+describe('bearer challenge', () => {
+  const challenge = error => error.headers['WWW-Authenticate']
+
+  test('challenge is disabled, expect no headers', async () => {
+    const middleware = makeMiddleware()('write')
+    const error = await middleware(stubrequest('read')).catch(error => error)
+    expect(error.headers).toBeUndefined()
+  })
+
+  test('insufficient scope, rejects ForbiddenError with challenge', async () => {
+    const middleware = makeMiddleware({
+      adminKey: ADMIN_KEY,
+      bearerChallenge: { realm: 'api' }
+    })('read', 'user:write')
+      .or('user', jest.fn())
+      .not('user:ban', 'project:{params.id}')
+    const error = await middleware(stubrequest('read')).catch(error => error)
+    expect(error).toBeInstanceOf(expressJwtScope.ForbiddenError)
+    expect(challenge(error)).toBe(
+      'Bearer realm="api", error="insufficient_scope", scope="read user:write user"'
+    )
+  })
+
+  test('malformed scope, rejects ForbiddenError with invalid_token', async () => {
+    const middleware = makeMiddleware({ bearerChallenge: true }).expr(
+      'read | write'
+    )
+    const error = await middleware(stubrequest('read,')).catch(error => error)
+    expect(error).toBeInstanceOf(expressJwtScope.ForbiddenError)
+    expect(challenge(error)).toBe(
+      'Bearer error="invalid_token", error_description="Fail to read granted permissions", scope="read write"'
+    )
+  })
+
+  test('token is missing, rejects UnauthorizedError with challenge', async () => {
+    const middleware = makeMiddleware({ bearerChallenge: { realm: 'api' } })(
+      'read'
+    )
+    const error = await middleware({}).catch(error => error)
+    expect(error).toBeInstanceOf(expressJwtScope.UnauthorizedError)
+    expect(challenge(error)).toBe('Bearer realm="api", scope="read"')
+  })
+})
+
+describe('errorHandler', () => {
+  const stubresponse = () => {
+    const res = { headersSent: false }
+    res.set = jest.fn().mockReturnValue(res)
+    res.status = jest.fn().mockReturnValue(res)
+    res.json = jest.fn().mockReturnValue(res)
+    return res
+  }
+
+  test('authorization error, responds with challenge header', async () => {
+    const middleware = makeMiddleware({ bearerChallenge: true })('write')
+    const error = await middleware(stubrequest('read')).catch(error => error)
+    const res = stubresponse()
+    const next = jest.fn()
+    expressJwtScope.errorHandler()(error, {}, res, next)
+
+    expect(next).not.toHaveBeenCalled()
+    expect(res.set).toHaveBeenCalledWith({
+      'WWW-Authenticate': 'Bearer error="insufficient_scope", scope="write"'
+    })
+    expect(res.status).toHaveBeenCalledWith(403)
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'ForbiddenError',
+      message: 'Forbidden'
+    })
+  })
+
+  test('error without challenge, responds without header', () => {
+    const res = stubresponse()
+    expressJwtScope.errorHandler()(
+      new expressJwtScope.UnauthorizedError(),
+      {},
+      res,
+      jest.fn()
+    )
+    expect(res.set).not.toHaveBeenCalled()
+    expect(res.status).toHaveBeenCalledWith(401)
+  })
+
+  test.each([
+    ['unrelated error', new Error('Oops'), false],
+    ['headers already sent', new expressJwtScope.ForbiddenError(), true]
+  ])('%s, passes error to next', (_, error, headersSent) => {
+    const res = Object.assign(stubresponse(), { headersSent })
+    const next = jest.fn()
+    expressJwtScope.errorHandler()(error, {}, res, next)
+    expect(next).toHaveBeenCalledWith(error)
+    expect(res.status).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,78 @@
+const koaJwtScope = require('../koa')
+const { ForbiddenError, UnauthorizedError } = require('../errors')
+
+const stubcontext = (scope, admin) => ({
+  method: 'GET',
+  originalUrl: '/users/1',
+  params: { id: '1' },
+  state: { user: { admin, scope } }
+})
+
+test('access token not found, rejects UnauthorizedError', async () => {
+  const middleware = koaJwtScope()('read')
+  await expect(middleware({ state: {} })).rejects.toThrow(UnauthorizedError)
+})
+
+test('permission is granted, attaches permissions to ctx.state', async () => {
+  const middleware = koaJwtScope({ tokenKey: 'jwt' })('read')
+  const ctx = { state: { jwt: { scope: 'read,write' } } }
+  const next = jest.fn().mockResolvedValue()
+  await middleware(ctx, next)
+
+  expect(next).toHaveBeenCalled()
+  await expect(ctx.state.permissions.hasPermission('write')).resolves.toBe(true)
+})
+
+test('permission is not granted, rejects ForbiddenError', async () => {
+  const middleware = koaJwtScope()('write')
+  const next = jest.fn()
+  await expect(middleware(stubcontext('read'), next)).rejects.toThrow(
+    ForbiddenError
+  )
+  expect(next).not.toHaveBeenCalled()
+})
+
+test('chaining methods and expressions, resolves true', async () => {
+  const factory = koaJwtScope({ adminKey: 'admin' })
+  const next = jest.fn().mockResolvedValue()
+  await factory('write').or('user:{params.id}')(stubcontext('user:1'), next)
+  await factory.expr('read & !ban')(stubcontext('read'), next)
+  await factory('write')(stubcontext('', true), next)
+  expect(next).toHaveBeenCalledTimes(3)
+
+  await expect(
+    factory('read').not('ban')(stubcontext('read,ban'), next)
+  ).rejects.toThrow(ForbiddenError)
+})
+
+test('custom checker receives koa context', async () => {
+  const callable = jest.fn().mockReturnValue(true)
+  const ctx = stubcontext('read')
+  await koaJwtScope()(callable)(ctx, jest.fn())
+  expect(callable).toHaveBeenCalledWith(
+    [['read']],
+    expect.objectContaining({ req: ctx })
+  )
+})
+
+test('bearer challenge, error has headers for koa response', async () => {
+  const middleware = koaJwtScope({ bearerChallenge: true })('write')
+  const error = await middleware(stubcontext('read')).catch(error => error)
+  expect(error).toMatchObject({
+    status: 403,
+    expose: true,
+    headers: {
+      'WWW-Authenticate': 'Bearer error="insufficient_scope", scope="write"'
+    }
+  })
+})
+
+test('bearer challenge of resource, lists permission of ctx method', async () => {
+  const middleware = koaJwtScope({ bearerChallenge: true }).resource('user')
+  const error = await middleware(stubcontext('user:write')).catch(
+    error => error
+  )
+  expect(error.headers).toEqual({
+    'WWW-Authenticate': 'Bearer error="insufficient_scope", scope="user:read"'
+  })
+})
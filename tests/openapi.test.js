@@ -0,0 +1,135 @@
+const openapiSecurity = require('../openapi')
+const { scopeAlternatives } = require('../openapi')
+
+const permission = name => ({ type: 'permission', permission: name })
+
+describe('scopeAlternatives function', () => {
+  test('nested rules, returns disjunctive normal form', () => {
+    const rule = {
+      type: 'all',
+      rules: [
+        { type: 'any', rules: [permission('a'), permission('b')] },
+        permission('c'),
+        { type: 'not', rule: permission('d') }
+      ]
+    }
+    expect(scopeAlternatives(rule)).toEqual([
+      ['a', 'c'],
+      ['b', 'c']
+    ])
+  })
+
+  test('admin rule, is omitted from alternatives', () => {
+    const rule = {
+      type: 'any',
+      rules: [{ type: 'admin', key: 'admin' }, permission('read')]
+    }
+    expect(scopeAlternatives(rule)).toEqual([['read']])
+  })
+
+  test('custom checker, does not restrict scopes', () => {
+    const rule = {
+      type: 'all',
+      rules: [permission('read'), { type: 'callback', name: 'isOwner' }]
+    }
+    expect(scopeAlternatives(rule)).toEqual([['read']])
+  })
+
+  test('resource rule, is described by operation method', () => {
+    const rule = {
+      type: 'resource',
+      name: 'invoice',
+      methods: {
+        GET: permission('invoice:read'),
+        DELETE: {
+          type: 'all',
+          rules: [permission('invoice:delete'), permission('invoice:approve')]
+        }
+      }
+    }
+    expect(scopeAlternatives(rule, 'get')).toEqual([['invoice:read']])
+    expect(scopeAlternatives(rule, 'delete')).toEqual([
+      ['invoice:delete', 'invoice:approve']
+    ])
+    expect(scopeAlternatives(rule, 'post')).toEqual([])
+    expect(scopeAlternatives(rule)).toEqual([])
+  })
+
+  test('duplicate alternatives, are removed', () => {
+    const rule = {
+      type: 'any',
+      rules: [
+        { type: 'all', rules: [permission('a'), permission('b')] },
+        { type: 'all', rules: [permission('b'), permission('a')] }
+      ]
+    }
+    expect(scopeAlternatives(rule)).toEqual([['a', 'b']])
+  })
+})
+
+describe('openapiSecurity function', () => {
+  const routes = [
+    {
+      method: 'GET',
+      path: '/users/:id(\\d+)',
+      requirements: [
+        {
+          expression: '<admin> | user:read | user:list',
+          rule: {
+            type: 'any',
+            rules: [
+              { type: 'admin', key: 'admin' },
+              permission('user:read'),
+              permission('user:list')
+            ]
+          }
+        }
+      ]
+    },
+    {
+      method: 'ALL',
+      path: '/admin',
+      requirements: [{ expression: '<admin>', rule: { type: 'admin' } }]
+    },
+    { method: 'GET', path: '/public', requirements: [] }
+  ]
+
+  test('routes with requirements, returns operations security', () => {
+    const { paths } = openapiSecurity(routes)
+    expect(paths['/users/{id}']).toEqual({
+      get: {
+        security: [{ jwtScope: ['user:read'] }, { jwtScope: ['user:list'] }]
+      }
+    })
+    expect(paths['/admin'].delete).toEqual({ security: [{ jwtScope: [] }] })
+    expect(paths['/public']).toBeUndefined()
+  })
+
+  test('security scheme, lists required scopes in every flow', () => {
+    const { components } = openapiSecurity(routes, {
+      schemeName: 'oauth',
+      scheme: {
+        type: 'oauth2',
+        flows: {
+          authorizationCode: {
+            authorizationUrl: '/authorize',
+            tokenUrl: '/token'
+          }
+        }
+      },
+      scopeDescriptions: { 'user:read': 'Read user profile' }
+    })
+    expect(components.securitySchemes).toEqual({
+      oauth: {
+        type: 'oauth2',
+        flows: {
+          authorizationCode: {
+            authorizationUrl: '/authorize',
+            tokenUrl: '/token',
+            scopes: { 'user:list': '', 'user:read': 'Read user profile' }
+          }
+        }
+      }
+    })
+  })
+})
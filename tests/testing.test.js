@@ -0,0 +1,117 @@
+const { AssertionError } = require('assert')
+const expressJwtScope = require('../index')
+const createTesting = require('../testing')
+const { ExpressJwtScopeError, ForbiddenError } = require('../errors')
+
+const OPTIONS = {
+  adminKey: 'claims.admin',
+  scopeKey: 'scp',
+  tokenKey: 'auth.payload'
+}
+
+describe('token and request builders', () => {
+  test('token, is built according to configuration', () => {
+    const { request, token } = createTesting(OPTIONS)
+
+    expect(
+      token('doc:read', { admin: true, claims: { sub: 'alice' } })
+    ).toEqual({ sub: 'alice', scp: 'doc:read', claims: { admin: true } })
+    expect(request(['doc:read'], { req: { params: { id: '1' } } })).toEqual({
+      params: { id: '1' },
+      auth: { payload: { scp: ['doc:read'] } }
+    })
+  })
+
+  test('admin option without adminKey path, throws ExpressJwtScopeError', () => {
+    const { token } = createTesting()
+    expect(() => token('read', { admin: true })).toThrow(ExpressJwtScopeError)
+  })
+})
+
+describe('expectAllowed and expectDenied helpers', () => {
+  const { expectAllowed, expectDenied } = createTesting(OPTIONS)
+  const jwtScope = expressJwtScope(OPTIONS)
+
+  test('allowed request, resolves request with permission methods', async () => {
+    const req = await expectAllowed(jwtScope('doc:read'), 'doc:read,doc:write')
+    await expect(req.permissions.hasPermission('doc:write')).resolves.toBe(true)
+    await expectAllowed(jwtScope('doc:write').promisify(), '', { admin: true })
+  })
+
+  test('denied request, resolves authorization error', async () => {
+    await expect(
+      expectDenied(jwtScope('doc:write').promisify(), 'doc:read')
+    ).resolves.toBeInstanceOf(ForbiddenError)
+    await expect(expectDenied('doc:write', null)).resolves.toHaveProperty(
+      'name',
+      'UnauthorizedError'
+    )
+  })
+
+  test('unexpected decision, rejects AssertionError', async () => {
+    await expect(expectAllowed('doc:write', 'doc:read')).rejects.toThrow(
+      "Expected access to be allowed for 'doc:read', got denied (ForbiddenError: Forbidden)"
+    )
+    await expect(
+      expectDenied(jwtScope.any('doc:read'), 'doc:read')
+    ).rejects.toThrow(AssertionError)
+  })
+
+  test('request options, are passed to the request', async () => {
+    await expectAllowed('doc:{params.id}', 'doc:42', {
+      req: { params: { id: '42' } }
+    })
+  })
+
+  test('route map handler, is checked as middleware', async () => {
+    const routes = jwtScope.routes({ 'GET /docs/:id': 'doc:{params.id}' })
+    const req = await expectAllowed(routes, 'doc:42', {
+      req: { method: 'GET', path: '/docs/42' }
+    })
+    expect(req.params).toEqual({ id: '42' })
+    await expectDenied(routes.promisify(), 'doc:42', {
+      req: { method: 'GET', path: '/docs/7' }
+    })
+  })
+})
+
+describe('matrix runner', () => {
+  const { matrix } = createTesting(OPTIONS)
+  const jwtScope = expressJwtScope(OPTIONS)
+  const policy = jwtScope.all(
+    jwtScope.any('doc:read', 'doc:admin'),
+    jwtScope.none('doc:ban')
+  )
+
+  test('decisions match, resolves list of rows', async () => {
+    const rows = await matrix(policy, [
+      ['doc:read', true],
+      ['doc:admin', true],
+      ['doc:read,doc:ban', false]
+    ])
+    expect(rows.map(row => row.allowed)).toEqual([true, true, false])
+  })
+
+  test('decisions differ, rejects with report', async () => {
+    const error = await matrix(jwtScope(policy), [
+      ['doc:read', true],
+      [['doc:write'], true],
+      ['doc:admin,doc:ban', true],
+      [undefined, false],
+      [null, false]
+    ]).catch(error => error)
+
+    expect(error).toBeInstanceOf(AssertionError)
+    expect(error.message).toBe(
+      [
+        "Decisions of '<admin> | (doc:read | doc:admin) & !doc:ban' differ from expected in 2 of 5 rows:",
+        '  granted scope      expected  actual',
+        '  doc:read           allowed   allowed',
+        '✗ doc:write          allowed   denied (ForbiddenError: Forbidden)',
+        '✗ doc:admin,doc:ban  allowed   denied (ForbiddenError: Forbidden)',
+        '  <no scope>         denied    denied (ForbiddenError: Forbidden)',
+        '  <no token>         denied    denied (UnauthorizedError: No authorization token was found)'
+      ].join('\n')
+    )
+  })
+})
@@ -1,4 +1,25 @@
-const { factoryArgv, moduleArgv, parseGrantedScope } = require('../utils')
+const {
+  bearerChallenge,
+  claimGrammarCharset,
+  editDistance,
+  expandImplications,
+  expandRoles,
+  factoryArgv,
+  grantedValues,
+  impliedScope,
+  isTemplate,
+  lruCache,
+  matchClaim,
+  matchRoute,
+  moduleArgv,
+  parseGrantedRoles,
+  parseGrantedScope,
+  resolveTemplate,
+  routePattern,
+  scopeIndex,
+  suggestPermissions,
+  tenantScope
+} = require('../utils')
 
 describe('moduleArgv helper function', () => {
   test.each([
@@ -7,6 +28,41 @@ describe('moduleArgv helper function', () => {
     [
       'duplicating delimiters',
       { claimDelimiter: ',', claimScopeDelimiter: ',' }
+    ],
+    ['roles is not an object', { roles: ['editor'] }],
+    ['implies is not an object', { implies: 'write' }],
+    ['onDecision is not a function', { onDecision: true }],
+    ['bearerChallenge has invalid type', { bearerChallenge: 'api' }],
+    ['realm is not a string', { bearerChallenge: { realm: 1 } }],
+    ['empty subject key', { subjectKey: [] }],
+    ['empty roles key', { roles: {}, rolesKey: '' }],
+    ['negative cache size', { cacheSize: -1 }],
+    ['unknown claim grammar', { claimGrammar: 'email' }],
+    [
+      'claim grammar charset is not a class',
+      { claimGrammar: { charset: '.' } }
+    ],
+    ['claim grammar has invalid type', { claimGrammar: ['oauth'] }],
+    ['unknown invalid scope policy', { invalidScope: 'ignore' }],
+    ['onWarning is not a function', { onWarning: 'log' }],
+    ['unknown enforcement mode', { mode: 'dry-run' }],
+    ['tenant has invalid type', { tenant: true }],
+    ['tenant without resolver', { tenant: { namespace: 't_{tenant}' } }],
+    [
+      'tenant namespace without placeholder',
+      { tenant: { resolve: 'tenant', namespace: 'tenant' } }
+    ],
+    [
+      'tenant namespace without literal part',
+      { tenant: { resolve: 'tenant', namespace: '{tenant}' } }
+    ],
+    [
+      'tenant namespace with scope delimiter',
+      { tenant: { resolve: 'tenant', namespace: 't:{tenant}' } }
+    ],
+    [
+      'tenant global is not a list of names',
+      { tenant: { resolve: 'tenant', global: ['user:read'] } }
     ]
   ])('%s, throws Error', (_, options) => {
     expect(() => moduleArgv(options)).toThrow(Error)
@@ -15,16 +71,61 @@ describe('moduleArgv helper function', () => {
   test('configuration defaults, returns object', () => {
     expect(moduleArgv()).toMatchObject({
       adminKey: undefined,
+      bearerChallenge: null,
+      cacheSize: 1000,
       claimDelimiter: ',',
       claimScopeDelimiter: ':',
       credentialsRequired: true,
+      implies: undefined,
+      invalidScope: 'fail',
+      mode: 'enforce',
+      onDecision: undefined,
+      onWarning: undefined,
       requestProperty: 'permissions',
+      resolveScope: undefined,
+      roles: undefined,
+      rolesKey: 'roles',
       scopeKey: 'scope',
-      tokenKey: 'user'
+      scopeSources: [{ path: 'scope', delimiter: ',', prefix: undefined }],
+      segmentGlob: false,
+      subjectKey: 'sub',
+      tenant: null,
+      tokenKey: 'user',
+      trace: false,
+      vocabulary: undefined
     })
   })
 })
 
+describe('claimGrammarCharset helper function', () => {
+  const charsetRegex = (grammar, claimDelimiter = ',') =>
+    new RegExp(`^${claimGrammarCharset(grammar, claimDelimiter, ':')}+$`)
+
+  test.each([
+    ['strict', 'user_read', true],
+    ['strict', 'repo.status', false],
+    ['oauth', 'repo.status', true],
+    ['oauth', 'read-only', true],
+    ['oauth', 'say"hi', false],
+    ['oauth', 'back\\slash', false],
+    ['uri', 'https/graph.example.com/Files.Read', true],
+    ['uri', 'a^b', false]
+  ])('%s grammar, %s matches %s', (grammar, value, expected) => {
+    expect(charsetRegex(grammar).test(value)).toBe(expected)
+  })
+
+  test.each(['a*b', 'a{b}', 'a&b', 'a|b', 'a!b', 'a(b)', 'a:b', 'a,b', 'a b'])(
+    'reserved character in %s, does not match',
+    value => {
+      expect(charsetRegex('oauth').test(value)).toBe(false)
+    }
+  )
+
+  test('space claim delimiter, is excluded from grammar', () => {
+    expect(charsetRegex('oauth', ' ').test('read,write')).toBe(true)
+  })
+})
+
 describe('factoryArgv helper function', () => {
   test('Empty argument list, throws Error', () => {
     expect(() => factoryArgv([])).toThrow('Expected at least one argument')
@@ -42,7 +143,14 @@ describe('factoryArgv helper function', () => {
   })
 
   describe("Unsupported characters in argument's value, throws Error", () => {
-    test.each(['user-posts:delete', 'user:*', 'чтение'])('%s', value => {
+    test.each([
+      'user-posts:delete',
+      'user:*',
+      'чтение',
+      'project:{params.id',
+      'project:{}:write',
+      'project:{params..id}'
+    ])('%s', value => {
       const regex = '[a-z]'
       const delimiter = ':'
       expect(() => factoryArgv([value], regex, delimiter)).toThrow(Error)
@@ -63,6 +171,40 @@ describe('factoryArgv helper function', () => {
 
     expect(factoryArgv(argList, regex, sep)).toEqual(expected)
   })
+
+  test('argument with request property references, returns array', () => {
+    const argList = ['project:{params.id}:write', 'org_{query.org}']
+    const expected = [['project', '{params.id}', 'write'], ['org_{query.org}']]
+
+    expect(factoryArgv(argList, '[a-z_]', ':')).toEqual(expected)
+  })
+
+  test('reference contains delimiter character, returns array', () => {
+    expect(factoryArgv(['project.{params.id}'], '[a-z]', '.')).toEqual([
+      ['project', '{params.id}']
+    ])
+  })
+})
+
+describe('resolveTemplate helper function', () => {
+  const valueRegex = /^[a-z0-9]+$/
+  const req = { params: { id: 42, name: 'acme', bad: 'a:b' }, query: {} }
+
+  test('references resolved, returns string[]', () => {
+    const claim = ['project', '{params.id}', 'org{params.name}']
+    expect(isTemplate(claim)).toBe(true)
+    expect(resolveTemplate(claim, req, valueRegex)).toEqual([
+      'project',
+      '42',
+      'orgacme'
+    ])
+  })
+
+  describe('invalid referenced value, returns null', () => {
+    test.each(['{params.bad}', '{query.org}', '{params}'])('%s', scope => {
+      expect(resolveTemplate(['project', scope], req, valueRegex)).toBeNull()
+    })
+  })
 })
 
 describe('parseGrantedScope helper function', () => {
@@ -167,6 +309,45 @@ describe('parseGrantedScope helper function', () => {
       ).toEqual(expected)
     })
 
+    test('recursive wildcard scope, returns string[][]', () => {
+      expect(
+        parseGrantedScope('org:acme:**,org:**:read', ',', '[a-z]', ':')
+      ).toEqual([
+        ['org', 'acme', '**'],
+        ['org', '**', 'read']
+      ])
+    })
+
+    describe('glob scope with `segmentGlob` enabled, returns string[][]', () => {
+      test.each([
+        ['report:sales_*', ['report', 'sales_*']],
+        ['report:*_eu:read', ['report', '*_eu', 'read']],
+        ['report:*sales*', ['report', '*sales*']]
+      ])('%s', (scope, expected) => {
+        expect(parseGrantedScope(scope, ',', '[a-z_]', ':', true)).toEqual([
+          expected
+        ])
+      })
+    })
+
+    describe('glob scope with `segmentGlob` disabled, returns null', () => {
+      test.each(['report:sales_*', 'report_*:read', 'report:***'])(
+        '%s',
+        scope => {
+          expect(parseGrantedScope(scope, ',', '[a-z_]', ':')).toBeNull()
+        }
+      )
+    })
+
+    describe('invalid glob scope, returns null', () => {
+      test.each(['report_*:read', 'report:***', 'report:a**b', '**'])(
+        '%s',
+        scope => {
+          expect(parseGrantedScope(scope, ',', '[a-z_]', ':', true)).toBeNull()
+        }
+      )
+    })
+
     describe('granted scope is empty value, returns an empty array', () => {
       test.each([undefined, '', []])('%s', scope => {
         expect(parseGrantedScope(scope)).toEqual([])
@@ -174,3 +355,441 @@ describe('parseGrantedScope helper function', () => {
     })
   })
 })
+
+describe('expandRoles helper function', () => {
+  const claimCharset = '[a-z]'
+  const claimScopeDelimiter = ':'
+
+  test('roles include other roles, returns Map', () => {
+    const roles = {
+      viewer: ['doc:read'],
+      editor: ['viewer', 'doc:write'],
+      admin: ['editor', 'user:*']
+    }
+    const expanded = expandRoles(roles, claimCharset, claimScopeDelimiter)
+    expect(expanded.get('viewer')).toEqual([['doc', 'read']])
+    expect(expanded.get('editor')).toEqual([
+      ['doc', 'read'],
+      ['doc', 'write']
+    ])
+    expect(expanded.get('admin')).toEqual([
+      ['doc', 'read'],
+      ['doc', 'write'],
+      ['user', '*']
+    ])
+  })
+
+  describe('circular role inheritance, throws Error', () => {
+    test.each([
+      [{ viewer: ['viewer'] }],
+      [{ viewer: ['editor'], editor: ['admin'], admin: ['viewer'] }]
+    ])('%o', roles => {
+      expect(() =>
+        expandRoles(roles, claimCharset, claimScopeDelimiter)
+      ).toThrow('Circular role inheritance')
+    })
+  })
+
+  describe('invalid permission, throws Error', () => {
+    test.each([
+      [{ viewer: ['doc:read', 'doc-read'] }],
+      [{ viewer: ['*'] }],
+      [{ viewer: [null] }],
+      [{ viewer: 'doc:read' }]
+    ])('%o', roles => {
+      expect(() =>
+        expandRoles(roles, claimCharset, claimScopeDelimiter)
+      ).toThrow(Error)
+    })
+  })
+})
+
+describe('parseGrantedRoles helper function', () => {
+  const roles = new Map([
+    ['viewer', [['doc', 'read']]],
+    ['editor', [['doc', 'write']]]
+  ])
+
+  test.each([
+    ['an array', ['viewer', 'editor']],
+    ['a string', 'viewer,editor']
+  ])('roles claim is %s, returns string[][]', (_, claim) => {
+    expect(parseGrantedRoles(claim, ',', roles)).toEqual([
+      ['doc', 'read'],
+      ['doc', 'write']
+    ])
+  })
+
+  test('unknown roles are ignored, returns string[][]', () => {
+    expect(parseGrantedRoles(['guest', 'viewer'], ',', roles)).toEqual([
+      ['doc', 'read']
+    ])
+  })
+
+  describe('roles claim has invalid type, returns null', () => {
+    test.each([null, 1, { viewer: true }, [1]])('%o', claim => {
+      expect(parseGrantedRoles(claim, ',', roles)).toBeNull()
+    })
+  })
+})
+
+const matchClaimCases = [
+  [['user', '*'], ['user'], true],
+  [['user', '*'], ['user', 'add'], true],
+  [['user'], ['user', 'add'], false],
+  [['user', '*', 'some'], ['user', 'add'], false],
+  [['user', 'add'], ['user', 'add'], true],
+  [['user', 'add'], ['user', 'del'], false],
+  [['post', '*', '*'], ['post', 'edit'], true],
+  [['org', 'acme', '**'], ['org', 'acme'], true],
+  [['org', 'acme', '**'], ['org', 'acme', 'team', 'read'], true],
+  [['org', 'acme', '**'], ['org', 'globex', 'team'], false],
+  [['org', '**', 'read'], ['org', 'acme', 'team', 'read'], true],
+  [['org', '**', 'read'], ['org', 'read'], true],
+  [['org', '**', 'read'], ['org', 'acme', 'write'], false],
+  [['org', '**', '*'], ['org'], true],
+  [['report', 'sales_*'], ['report', 'sales_eu'], true],
+  [['report', '*_eu'], ['report', 'sales_eu'], true],
+  [['report', 'sales_*'], ['report', 'hr_eu'], false],
+  [['report', 's*s'], ['report', 'sales'], true],
+  [['report', 's*s'], ['report', 'sale'], false]
+]
+
+describe('matchClaim helper function', () => {
+  test.each(matchClaimCases)(
+    'granted %j, requested %j, returns %s',
+    (granted, requested, expected) => {
+      expect(matchClaim(granted, requested)).toBe(expected)
+    }
+  )
+})
+
+describe('scopeIndex helper function', () => {
+  test.each(matchClaimCases)(
+    'granted %j, requested %j, matches %s',
+    (granted, requested, expected) => {
+      expect(scopeIndex([granted]).match(requested) !== undefined).toBe(
+        expected
+      )
+    }
+  )
+
+  test('several permissions match, returns first granted permission', () => {
+    const grantedScope = [
+      ['org', '**'],
+      ['user', 'read'],
+      ['user', '*']
+    ]
+    expect(scopeIndex(grantedScope).match(['user', 'read'])).toBe(
+      grantedScope[1]
+    )
+    expect(scopeIndex(grantedScope).match(['org', 'acme'])).toBe(
+      grantedScope[0]
+    )
+    expect(scopeIndex(grantedScope).match(['post'])).toBeUndefined()
+  })
+
+  test('same scope array, returns cached index', () => {
+    const grantedScope = [['read']]
+    expect(scopeIndex(grantedScope)).toBe(scopeIndex(grantedScope))
+  })
+})
+
+describe('grantedValues helper function', () => {
+  test('granted permissions, returns covered values', () => {
+    const grantedScope = [
+      ['project', '42', 'read'],
+      ['project', '7', '*'],
+      ['project', 'sales_*', 'read'],
+      ['org', 'acme', 'read']
+    ]
+    expect(grantedValues(grantedScope, ['project'], ['read'])).toEqual({
+      all: false,
+      values: ['42', '7']
+    })
+    expect(grantedValues(grantedScope, ['org', 'acme'], [])).toEqual({
+      all: false,
+      values: ['read']
+    })
+  })
+
+  test('wildcard scope, returns all', () => {
+    expect(grantedValues([['org', '**']], ['org', 'acme'], ['read'])).toEqual({
+      all: true,
+      values: []
+    })
+  })
+})
+
+describe('tenantScope helper function', () => {
+  const grantedScope = [
+    ['t_acme', 'user', 'read'],
+    ['t_acme'],
+    ['t_globex', 'user', 'write'],
+    ['profile', 'read'],
+    ['user', 'delete']
+  ]
+
+  test('tenant permissions, returns them without namespace with global ones', () => {
+    expect(tenantScope(grantedScope, 't_acme', ['profile'])).toEqual([
+      ['user', 'read'],
+      ['profile', 'read']
+    ])
+  })
+
+  test('no permissions in namespace, returns null', () => {
+    expect(tenantScope(grantedScope, 't_initech', ['profile'])).toBeNull()
+  })
+
+  test.each([
+    [
+      false,
+      [
+        ['*', 'read'],
+        ['user', 'read']
+      ]
+    ],
+    [true, [['**'], ['*', 'read'], ['user', 'read']]]
+  ])(
+    'wildcard only permissions and wildcards %s, returns %j',
+    (wildcards, expected) => {
+      expect(
+        tenantScope(
+          [
+            ['t_acme', '**'],
+            ['t_acme', '*', 'read'],
+            ['t_acme', 'user', 'read']
+          ],
+          't_acme',
+          [],
+          wildcards
+        )
+      ).toEqual(expected)
+    }
+  )
+})
+
+describe('suggestPermissions helper function', () => {
+  const vocabulary = ['user', 'user:read', 'user:write', 'report:read'].map(
+    permission => ({ permission, claim: permission.split(':') })
+  )
+
+  test.each([
+    ['usr:read', ['user:read']],
+    ['user:wirte', ['user:write']],
+    ['user:rite', ['user:write', 'user:read']],
+    ['billing', []]
+  ])('%s, returns %j', (permission, expected) => {
+    expect(suggestPermissions(vocabulary, permission)).toEqual(expected)
+  })
+
+  test.each([
+    ['read', 'read', 0],
+    ['read', 'raed', 2],
+    ['usr', 'user', 1],
+    ['', 'abc', 3]
+  ])('editDistance(%s, %s) is %d', (source, target, expected) => {
+    expect(editDistance(source, target)).toBe(expected)
+  })
+})
+
+describe('routePattern and matchRoute helper functions', () => {
+  test.each([
+    ['GET /users/:id', 'GET', '/users/42', { id: '42' }],
+    ['GET /users/:id', 'GET', '/Users/42/', { id: '42' }],
+    ['GET /users/:id', 'HEAD', '/users/42', { id: '42' }],
+    ['GET /users/:id', 'POST', '/users/42', null],
+    ['GET /users/:id', 'GET', '/users/42/posts', null],
+    [
+      'PUT /files/:name.:ext',
+      'PUT',
+      '/files/a%20b.txt',
+      { name: 'a b', ext: 'txt' }
+    ],
+    ['* /admin/*', 'PATCH', '/admin/users/42', {}],
+    ['* /admin/*', 'GET', '/administrator', null],
+    ['GET /', 'GET', '/', {}],
+    ['GET /users/:id', 'GET', '/users/%E0%A4%A', null]
+  ])('%s, matches %s %s', (route, method, path, expected) => {
+    expect(matchRoute(routePattern(route), method, path)).toEqual(expected)
+  })
+
+  test.each([['get /users'], ['GET users'], ['GET'], [42]])(
+    '%s, throws ExpressJwtScopeError',
+    route => {
+      expect(() => routePattern(route)).toThrow("expected 'METHOD /path'")
+    }
+  )
+})
+
+describe('lruCache helper function', () => {
+  test('cache is full, evicts least recently used entry', () => {
+    const cache = lruCache(2)
+    cache.set('a', 1)
+    cache.set('b', 2)
+    cache.get('a')
+    cache.set('c', 3)
+
+    expect(cache.has('a')).toBe(true)
+    expect(cache.has('b')).toBe(false)
+    expect(cache.get('c')).toBe(3)
+    expect(cache.size).toBe(2)
+  })
+
+  test('ttl is set, expires entries', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000)
+    const cache = lruCache(2, 100)
+    cache.set('a', 1)
+    now.mockReturnValue(1099)
+    expect(cache.get('a')).toBe(1)
+    now.mockReturnValue(1100)
+    expect(cache.has('a')).toBe(false)
+    expect(cache.size).toBe(0)
+    now.mockRestore()
+  })
+
+  test('zero size, stores nothing', () => {
+    const cache = lruCache(0)
+    cache.set('a', 1)
+    expect(cache.has('a')).toBe(false)
+  })
+})
+
+describe('expandImplications helper function', () => {
+  const claimCharset = '[a-z]'
+  const claimScopeDelimiter = ':'
+
+  test('transitive implications, returns closure for each source', () => {
+    const implies = {
+      'user:write': 'user:read',
+      'user:read': ['user:list'],
+      'admin:*': ['audit:read']
+    }
+    expect(
+      expandImplications(implies, claimCharset, claimScopeDelimiter)
+    ).toEqual([
+      {
+        source: ['user', 'write'],
+        targets: [
+          ['user', 'read'],
+          ['user', 'list']
+        ]
+      },
+      { source: ['user', 'read'], targets: [['user', 'list']] },
+      { source: ['admin', '*'], targets: [['audit', 'read']] }
+    ])
+  })
+
+  test('target narrower than next source, is not followed', () => {
+    expect(
+      expandImplications(
+        { 'doc:read': 'audit:log', 'audit:*': 'audit:purge' },
+        claimCharset,
+        claimScopeDelimiter
+      )
+    ).toEqual([
+      { source: ['doc', 'read'], targets: [['audit', 'log']] },
+      { source: ['audit', '*'], targets: [['audit', 'purge']] }
+    ])
+  })
+
+  test('target overlaps own source, is not a cycle', () => {
+    expect(
+      expandImplications(
+        { 'doc:*': ['doc:read', 'audit:log'], 'audit:log': 'audit:read' },
+        claimCharset,
+        claimScopeDelimiter
+      )
+    ).toEqual([
+      {
+        source: ['doc', '*'],
+        targets: [
+          ['doc', 'read'],
+          ['audit', 'log'],
+          ['audit', 'read']
+        ]
+      },
+      { source: ['audit', 'log'], targets: [['audit', 'read']] }
+    ])
+  })
+
+  describe('circular implication, throws Error', () => {
+    test.each([
+      [{ 'user:write': 'user:read', 'user:read': 'user:write' }],
+      [{ 'user:*': 'user:read', 'user:read': 'user:*' }],
+      [{ a: 'b', b: 'c', c: 'a:*' }]
+    ])('%o', implies => {
+      expect(() =>
+        expandImplications(implies, claimCharset, claimScopeDelimiter)
+      ).toThrow('Circular permission implication')
+    })
+  })
+
+  describe('invalid permission, throws Error', () => {
+    test.each([
+      [{ 'user:write': 'user-read' }],
+      [{ '*': 'read' }],
+      [{ a: [1] }]
+    ])('%o', implies => {
+      expect(() =>
+        expandImplications(implies, claimCharset, claimScopeDelimiter)
+      ).toThrow('Invalid implied permission')
+    })
+  })
+})
+
+describe('impliedScope helper function', () => {
+  const implications = [
+    {
+      source: ['user', 'write'],
+      targets: [
+        ['user', 'read'],
+        ['user', 'list']
+      ]
+    },
+    { source: ['admin', '*'], targets: [['audit', 'read']] }
+  ]
+
+  test.each([
+    [
+      [['user', 'write']],
+      [
+        ['user', 'read'],
+        ['user', 'list']
+      ]
+    ],
+    [
+      [['user', '*']],
+      [
+        ['user', 'read'],
+        ['user', 'list']
+      ]
+    ],
+    [[['admin', '*']], [['audit', 'read']]],
+    [[['admin', 'users']], []],
+    [[['post', 'write']], []]
+  ])('granted %j, implies %j', (grantedScope, implied) => {
+    expect(impliedScope(grantedScope, implications)).toEqual(
+      grantedScope.concat(implied)
+    )
+  })
+})
+
+describe('bearerChallenge helper function', () => {
+  test('attributes are quoted and escaped, returns header value', () => {
+    expect(
+      bearerChallenge({
+        realm: 'my "api"',
+        error: 'insufficient_scope',
+        error_description: undefined,
+        scope: 'read user:write'
+      })
+    ).toBe(
+      'Bearer realm="my \\"api\\"", error="insufficient_scope", scope="read user:write"'
+    )
+  })
+
+  test('no attributes, returns scheme name', () => {
+    expect(bearerChallenge({ realm: undefined })).toBe('Bearer')
+  })
+})
@@ -0,0 +1,46 @@
+const { typeDefinition } = require('../vocabulary')
+
+describe('typeDefinition function', () => {
+  test('vocabulary, returns literal union type', () => {
+    expect(
+      typeDefinition({ user: ['read', 'write'], org: ['*:read', '**'] })
+    ).toBe(
+      [
+        'export type Permission =',
+        "  | 'user'",
+        "  | 'user:read'",
+        "  | 'user:write'",
+        "  | 'org'",
+        '  | `org:${string}:read`',
+        '  | `org:${string}`;',
+        ''
+      ].join('\n')
+    )
+  })
+
+  test('module options, are applied to generated type', () => {
+    expect(
+      typeDefinition(
+        { "repo'": ['status', 'sales_*'] },
+        {
+          claimGrammar: 'oauth',
+          claimScopeDelimiter: '.',
+          segmentGlob: true,
+          typeName: 'Scope'
+        }
+      )
+    ).toBe(
+      [
+        'export type Scope =',
+        "  | 'repo\\''",
+        "  | 'repo\\'.status'",
+        "  | `repo'.sales_${string}`;",
+        ''
+      ].join('\n')
+    )
+  })
+
+  test('invalid type name, throws TypeError', () => {
+    expect(() => typeDefinition({}, { typeName: 'my type' })).toThrow(TypeError)
+  })
+})
@@ -1,19 +1,48 @@
 import express = require('express');
 import expressJwtScope = require('express-jwt-scope');
+import koaJwtScope = require('express-jwt-scope/koa');
+import fastifyJwtScope = require('express-jwt-scope/fastify');
+import graphqlJwtScope = require('express-jwt-scope/graphql');
+import createTesting = require('express-jwt-scope/testing');
+import openapiSecurity = require('express-jwt-scope/openapi');
+import { typeDefinition } from 'express-jwt-scope/vocabulary';
 
 const app = express();
 const middleware = expressJwtScope({
   adminKey: 'admin',
+  bearerChallenge: { realm: 'api' },
   claimDelimiter: ',',
   claimScopeDelimiter: ':',
   credentialsRequired: true,
   requestProperty: 'permissions',
   scopeKey: 'scope',
-  tokenKey: 'user'
+  segmentGlob: false,
+  subjectKey: 'sub',
+  tokenKey: 'user',
+  trace: true,
+  onDecision: event => {
+    event.source;
+    event.permission.length;
+    event.duration.toFixed();
+  }
 });
 
+const roleMiddleware = expressJwtScope({
+  roles: {
+    viewer: ['doc:read'],
+    editor: ['viewer', 'doc:write']
+  },
+  rolesKey: ['realm', 'roles'],
+  implies: {
+    'user:write': 'user:read',
+    'admin:*': ['audit:read']
+  }
+});
+
+app.use(roleMiddleware('doc:write'));
 app.use(middleware());
 app.use(middleware('read', 'write'));
+app.use(middleware('project:{params.id}:write'));
 app.use(middleware((scope, helpers) => true));
 app.use(middleware(
   (scope, helpers) => {
@@ -31,12 +60,179 @@ app
   .or('read', scope => true)
   .not('read', scope => true));
 app.use(middleware('read').promisify());
+app.use(middleware.expr('(read | user:read & user:write) & !user:ban'));
+app.use(middleware.expr('read').or('write').promisify());
+
+const syntaxError = new expressJwtScope.ExpressionSyntaxError('Unexpected token', 'read write', 6);
+syntaxError.column;
+syntaxError.expression;
 
 app.use((req, res, next) => {
   req.permissions?.allowed((scope, helpers) => true);
   req.permissions?.allowed('read').then(res => res).catch(err => err);
   req.permissions?.isAdmin();
+  const decision = req.permissions?.explain();
+  if (decision) {
+    decision.result;
+    decision.adminShortCircuit;
+    decision.rule.rules?.map(node => node.matched);
+  }
   req.permissions?.hasPermission((scope, helpers) => true);
   req.permissions?.hasPermission('read').then(res => res).catch(err => err);
   next();
 });
+
+app.use(expressJwtScope.errorHandler());
+new expressJwtScope.ForbiddenError().headers?.['WWW-Authenticate'];
+
+const checker = expressJwtScope.createChecker({ adminKey: 'admin' });
+checker.check({ scope: 'read' }, 'read & !ban', { req: {}, method: 'CONSUME' }).then(decision => {
+  decision.allowed;
+  decision.reason;
+  decision.permissions?.hasPermission('write');
+  const error = checker.error(decision);
+  if (error) {
+    error.status;
+  }
+});
+
+expressJwtScope({ claimDelimiter: ' ', claimGrammar: 'oauth' });
+expressJwtScope({ claimGrammar: { charset: '[a-z.-]' } });
+
+expressJwtScope({
+  invalidScope: 'skip',
+  scopeKey: [{ path: 'scp', delimiter: ' ' }, { path: ['roles'], prefix: 'app' }],
+});
+
+expressJwtScope({ resolveScope: async token => ['report:read'] });
+expressJwtScope({
+  resolveScope: { resolve: (token, req) => 'report:read', cacheKey: ['sub', 'iat'], ttl: 30000, timeout: 500 },
+});
+
+const registryFactory = expressJwtScope({ adminKey: 'admin' });
+app.use(registryFactory('read').or('write'));
+registryFactory.registry(app)[0].expression;
+expressJwtScope.routePermissions(express())[0].requirements[0].rule.type;
+
+type Permission = 'user' | 'user:read' | `org:${string}`;
+const typedFactory: expressJwtScope.Factory<Permission> = expressJwtScope({
+  vocabulary: { user: ['read'], org: ['*'] },
+  onWarning: warning => {
+    warning.type;
+    warning.permissions?.join();
+  },
+});
+app.use(typedFactory('user:read').or('org:42', scope => true).not('user'));
+// $ExpectError
+typedFactory('usr:read');
+
+const canRead = typedFactory.policy('canRead', typedFactory.any('user:read', 'org:7'));
+const canEdit = typedFactory.all(canRead, typedFactory.none('user'), scope => true);
+canEdit.rules[0].type;
+const isOwner = typedFactory.where({ 'req.params.ownerId': '$token.sub', 'token.level': { $gte: 2 } });
+isOwner.conditions;
+app.use(typedFactory('user:read').where({ 'req.params.orgId': ['1', '2'] }));
+app.use(typedFactory(typedFactory.any(canRead, isOwner)));
+// $ExpectError
+typedFactory.where({ 'token.level': { $gte: [2] } });
+app.use(typedFactory(canEdit).or(canRead));
+checker.check({ scope: 'read' }, checker.any('read', 'write'));
+app.use((req, res, next) => {
+  req.permissions?.hasPermission(canEdit);
+  req.permissions?.allowed(canRead);
+  next();
+});
+// $ExpectError
+typedFactory.any('usr:read');
+
+const reportOnly = expressJwtScope({
+  mode: 'report-only',
+  onWarning: warning => warning.type === 'would_deny' && warning.grantedScope?.join(),
+});
+app.use(reportOnly('write').mode('enforce').or('admin'));
+app.use((req, res, next) => {
+  req.permissions?.isSoftDenied();
+  req.permissions?.list().join(' ');
+  req.permissions?.scopesFor('project', { action: 'read' }).values.join();
+  req.permissions?.scopesFor('project').all;
+  req.permissions?.hasPermissionSync('doc:edit') === true;
+  req.permissions?.hasAll(['doc:read', canRead]) === req.permissions?.hasAny(['doc:edit']);
+  req.permissions?.check({ canEdit: 'doc:edit', canRead }).canEdit === true;
+  // $ExpectError
+  req.permissions?.hasPermissionSync(scope => true);
+  // $ExpectError
+  req.permissions?.scopesFor('project', { action: 1 });
+  next();
+});
+// $ExpectError
+reportOnly('write').mode('dry-run');
+
+app.use(
+  typedFactory
+    .routes(
+      {
+        'GET /users/:id': 'user:read',
+        'DELETE /users/:id': ['user', typedFactory.none('org:locked')],
+        '* /admin/*': (scope, helpers) => !!helpers.isAdmin,
+      },
+      { unmatched: 'passthrough' },
+    )
+    .promisify(),
+);
+// $ExpectError
+typedFactory.routes({ 'GET /users': 'usr:read' });
+app.use(typedFactory.routes({ 'GET /users': 'user:read' }).mode('report-only').or('user'));
+registryFactory.registry(app)[0].rule.routes?.['GET /users'].type;
+
+app.use('/invoices', middleware.resource('invoice', {
+  actions: { POST: 'issue', DELETE: null },
+  requires: { PATCH: ['invoice:approve', scope => true] },
+}));
+registryFactory.registry(app)[0].rule.methods?.GET.type;
+
+const tenantScope = expressJwtScope({ tenant: 'headers.x-tenant' });
+expressJwtScope({ tenant: { resolve: (req, token) => req.hostname.split('.')[0], namespace: 't_{tenant}', global: ['profile'] } });
+// $ExpectError
+expressJwtScope({ tenant: { namespace: 't_{tenant}' } });
+app.use(tenantScope('user:read'), (err: Error, req: express.Request, res: express.Response, next: express.NextFunction) => {
+  if (err instanceof expressJwtScope.TenantError) {
+    err.reason === 'tenant_missing' || err.tenant;
+  }
+  next(err);
+});
+
+const koaScope: koaJwtScope.Factory<Permission> = koaJwtScope({ adminKey: 'admin' });
+koaScope('user:read').or('user').where({ 'req.params.id': '$token.sub' }).mode('report-only');
+koaScope.resource('invoice', { actions: { DELETE: null } })({}, async () => {});
+// $ExpectError
+koaScope('usr:read');
+
+const fastifyScope = fastifyJwtScope({ tokenKey: 'user' });
+fastifyScope.plugin({}, {}, () => {});
+fastifyScope.expr('user:read | user:{params.id}').not(fastifyScope.any('ban'))({}).then(() => {});
+
+const { scopeDirective, withScope, all: gqlAll }: graphqlJwtScope.Helpers<Permission> = graphqlJwtScope({ tokenKey: 'req.user' });
+const userResolver = withScope('user:read | user:{args.id}', (source, args: { id: string }) => args.id);
+withScope(gqlAll('user:read', 'org:acme'));
+scopeDirective('requires').typeDefs.length;
+
+const { expectAllowed, expectDenied, matrix, request, token } = createTesting({ adminKey: 'admin' });
+token('doc:read', { admin: true, claims: { sub: 'alice' } });
+request(null, { req: { params: { id: '1' } } }).params;
+expectAllowed(middleware('user:read'), 'user:read').then(req => req.permissions?.list());
+expectDenied('doc:write', ['doc:read']).then(error => error.message);
+matrix(middleware.any('doc:read'), [['doc:read', true], [null, false]]).then(rows => rows[0].allowed);
+// $ExpectError
+matrix('doc:read', [['doc:read', 'allowed']]);
+
+const { paths, components } = openapiSecurity(expressJwtScope.routePermissions(app), {
+  scheme: { type: 'oauth2', flows: { clientCredentials: { tokenUrl: '/token' } } },
+  scopeDescriptions: { 'user:read': 'Read user profiles' },
+});
+paths['/users/{id}'].get.security[0].jwtScope.length;
+components.securitySchemes.jwtScope.type;
+openapiSecurity.scopeAlternatives({ type: 'permission', permission: 'user:read' }, 'GET');
+
+const declaration: string = typeDefinition({ user: ['read', '*'] }, { typeName: 'UserPermission' });
+// $ExpectError
+typeDefinition(['user:read']);
@@ -0,0 +1,51 @@
+import expressJwtScope = require('.');
+
+export = fastifyJwtScope;
+
+/**
+ * Creates a factory function that returns Fastify `preHandler` hooks. The access token is
+ * read from the request and permission methods are attached to the request.
+ */
+declare function fastifyJwtScope(options?: expressJwtScope.Options): fastifyJwtScope.Factory;
+
+declare namespace fastifyJwtScope {
+  /** Fastify `preHandler` hook that checks the access token for requested permissions. */
+  interface Hook<P extends string = string> {
+    (request: any): Promise<void>;
+    /** Add negation of requested permission using logical `and` operator. */
+    not: (
+      permission: P | expressJwtScope.Checker | expressJwtScope.Policy,
+      ...restPermissions: Array<P | expressJwtScope.Checker | expressJwtScope.Policy>
+    ) => Hook<P>;
+    /** Add alternative set of permissions to check. */
+    or: (
+      permission: P | expressJwtScope.Checker | expressJwtScope.Policy,
+      ...restPermissions: Array<P | expressJwtScope.Checker | expressJwtScope.Policy>
+    ) => Hook<P>;
+    /** Add conditions on token and request fields using logical `and` operator. */
+    where: (conditions: expressJwtScope.Conditions) => Hook<P>;
+    /** Returns new hook with enforcement mode. */
+    mode: (mode: expressJwtScope.EnforcementMode) => Hook<P>;
+  }
+
+  /** Function produces `preHandler` hook that check the access token for requested permissions. */
+  interface Factory<P extends string = string> {
+    (...permissions: Array<P | expressJwtScope.Checker | expressJwtScope.Policy>): Hook<P>;
+    /** Produces hook from boolean permission expression, e.g. `(read | write) & !ban`. */
+    expr: (expression: string) => Hook<P>;
+    /** Produces hook that derives requested permission from request method, e.g. `name:read` for `GET`. */
+    resource: (name: string, options?: expressJwtScope.ResourceOptions<P>) => Hook<P>;
+    /** Fastify plugin that decorates the request with `requestProperty`. */
+    plugin: (fastify: any, options: unknown, done: (error?: Error) => void) => void;
+    /** Creates policy that requires all of requested permissions. */
+    all: expressJwtScope.PolicyBuilder<P>;
+    /** Creates policy that requires any of requested permissions. */
+    any: expressJwtScope.PolicyBuilder<P>;
+    /** Creates policy that requires none of requested permissions. */
+    none: expressJwtScope.PolicyBuilder<P>;
+    /** Creates copy of the policy with name reported in rule descriptions. */
+    policy(name: string, policy: expressJwtScope.Policy): expressJwtScope.Policy;
+    /** Creates policy that requires token and request fields to satisfy conditions. */
+    where(conditions: expressJwtScope.Conditions): expressJwtScope.Policy;
+  }
+}
@@ -0,0 +1,41 @@
+import { GraphQLFieldResolver, GraphQLSchema } from 'graphql';
+import expressJwtScope = require('.');
+
+export = graphqlJwtScope;
+
+/**
+ * Creates GraphQL authorization helpers. The access token is read from the resolver
+ * context, denied fields resolve to error with `FORBIDDEN` code.
+ */
+declare function graphqlJwtScope(options?: expressJwtScope.Options): graphqlJwtScope.Helpers;
+
+declare namespace graphqlJwtScope {
+  /** Schema directive that requires permissions of the fields. */
+  interface ScopeDirective {
+    /** Directive definition. */
+    typeDefs: string;
+    /** Wraps resolvers of the fields with the directive. */
+    transformer: (schema: GraphQLSchema) => GraphQLSchema;
+  }
+
+  /** GraphQL authorization helpers. */
+  interface Helpers<P extends string = string> {
+    /** Wraps resolver with check of permission expression, policy or custom checker. */
+    withScope<TSource = any, TContext = any, TArgs = any>(
+      permission: string | expressJwtScope.Checker | expressJwtScope.Policy,
+      resolver?: GraphQLFieldResolver<TSource, TContext, TArgs>
+    ): GraphQLFieldResolver<TSource, TContext, TArgs>;
+    /** Creates `@scope(requires: "...")` schema directive, name defaults to `scope`. */
+    scopeDirective(directiveName?: string): ScopeDirective;
+    /** Creates policy that requires all of requested permissions. */
+    all: expressJwtScope.PolicyBuilder<P>;
+    /** Creates policy that requires any of requested permissions. */
+    any: expressJwtScope.PolicyBuilder<P>;
+    /** Creates policy that requires none of requested permissions. */
+    none: expressJwtScope.PolicyBuilder<P>;
+    /** Creates copy of the policy with name reported in rule descriptions. */
+    policy(name: string, policy: expressJwtScope.Policy): expressJwtScope.Policy;
+    /** Creates policy that requires token and request fields to satisfy conditions. */
+    where(conditions: expressJwtScope.Conditions): expressJwtScope.Policy;
+  }
+}
@@ -4,26 +4,305 @@ import express = require('express');
 
 export = expressJwtScope;
 
-/** Creates a factory function that returns request handling middleware. */
+/**
+ * Creates a factory function that returns request handling middleware. Annotate the result
+ * with `Factory<P>` to restrict requested permissions, e.g. to the union generated from `vocabulary`.
+ */
 declare function expressJwtScope(options?: expressJwtScope.Options): expressJwtScope.Factory;
 
 declare namespace expressJwtScope {
+  /** Creates framework-agnostic permission checker. */
+  function createChecker(options?: Options): PermissionChecker;
+
+  /** Maps routes of the Express application or router to permission requirements. */
+  function routePermissions(app: express.Application | express.Router): RoutePermissions[];
+
+  /** Creates error handler that responds to authorization errors with JSON body and error's headers. */
+  function errorHandler(): express.ErrorRequestHandler;
+
   /** Configuration options. */
   interface Options {
     /** Path to admin claim inside the access token or a callback. */
     adminKey?: string | string[] | Checker;
+    /** Attach `WWW-Authenticate` header of the `Bearer` scheme to authorization errors, default is `false`. */
+    bearerChallenge?: boolean | { realm?: string };
+    /** Maximum number of entries in the parsed granted scope and compiled permission caches, default is `1000`. */
+    cacheSize?: number;
     /** Character separeting permissions if granted permissions described as a string, default is `,`. */
     claimDelimiter?: string;
+    /** Characters allowed in permissions, preset name or regular expression character class, default is `strict`. */
+    claimGrammar?: 'strict' | 'oauth' | 'uri' | { charset: string };
     /** Character separating permission's name and scope, default is `:`. */
     claimScopeDelimiter?: string;
     /** Set to `false` to skip permission check for an unauthorized users, default is `true`. */
     credentialsRequired?: boolean;
+    /** Map of permission to permission or list of permissions it implies. */
+    implies?: { [permission: string]: string | string[] };
+    /** Fail the request or skip malformed scope source with a warning, default is `fail`. */
+    invalidScope?: 'fail' | 'skip';
+    /** Deny access or only report denied decisions with `would_deny` warning, default is `enforce`. */
+    mode?: EnforcementMode;
+    /** Hook called with every authorization decision, errors thrown by the hook are ignored. */
+    onDecision?: (event: DecisionEvent) => void | Promise<void>;
+    /** Hook called with configuration and runtime warnings instead of `process.emitWarning()`. */
+    onWarning?: (warning: Warning) => void;
     /** Path to attach permission check methods to the `req` object, default is `permissions`. */
     requestProperty?: string | string[];
-    /** Path to granted permissions inside the access token, default is `scope`. */
-    scopeKey?: string | string[];
+    /** Hook that resolves permissions merged with the token's scope, or resolver with cache options. */
+    resolveScope?: ScopeResolver | ScopeResolverOptions;
+    /** Map of role name to list of granted permissions or names of included roles. */
+    roles?: { [role: string]: string[] };
+    /** Path to list of roles inside the access token, default is `roles`. */
+    rolesKey?: string | string[];
+    /** Path to granted permissions inside the access token or list of scope sources, default is `scope`. */
+    scopeKey?: string | string[] | ScopeSource[];
+    /** Set to `true` to allow glob scopes like `sales_*` in granted permissions, default is `false`. */
+    segmentGlob?: boolean;
+    /** Path to the token subject reported to `onDecision` hook, default is `sub`. */
+    subjectKey?: string | string[];
+    /** Path to the request tenant, function or tenant options, narrows granted permissions to the tenant namespace. */
+    tenant?: string | string[] | TenantResolver | TenantOptions;
     /** Path to the access token in HTTP request object, default is `user`. */
     tokenKey?: string | string[];
+    /** Set to `true` to record decision trace of the authorization check, default is `false`. */
+    trace?: boolean;
+    /** Map of permission name to list of its scopes, requested permissions outside of it throw. */
+    vocabulary?: { [name: string]: string[] };
+  }
+
+  /** Resolves tenant of the request. */
+  type TenantResolver = (req: any, token: object) => string | number | undefined | Promise<string | number | undefined>;
+
+  /** Tenant options. */
+  interface TenantOptions {
+    /** Path to the request tenant or resolver function. */
+    resolve: string | string[] | TenantResolver;
+    /** First scope of the tenant permissions, `{tenant}` placeholder with a literal prefix or suffix, default is `t_{tenant}`. */
+    namespace?: string;
+    /** Names of permissions granted in every tenant. */
+    global?: string[];
+  }
+
+  /** Enforcement mode of the authorization check. */
+  type EnforcementMode = 'enforce' | 'report-only';
+
+  /** Warning reported to `onWarning` hook. */
+  interface Warning {
+    type: 'scope_skipped' | 'scope_unresolved' | 'tenant_unresolved' | 'unknown_permission' | 'hook_failed' | 'would_deny';
+    message: string;
+    /** Path to the scope source, or URL of the request of the `would_deny` warning. */
+    path?: string;
+    /** Granted permissions missing in the vocabulary. */
+    permissions?: string[];
+    /** Error thrown by the hook or resolver. */
+    error?: Error;
+    /** Requested permissions of the `would_deny` warning in expression syntax. */
+    permission?: string;
+    /** Reason of the denied decision of the `would_deny` warning. */
+    reason?: Decision['reason'];
+    /** Granted permissions of the `would_deny` warning. */
+    grantedScope?: string[];
+    /** Value of the subject claim of the access token. */
+    subject?: unknown;
+    /** Request fields of the `would_deny` warning. */
+    source?: DecisionEvent['source'];
+    method?: string;
+    route?: string;
+  }
+
+  /** Evaluated rule in the decision trace. */
+  interface TraceNode {
+    type: 'admin' | 'all' | 'any' | 'callback' | 'condition' | 'not' | 'permission' | 'resource' | 'routes';
+    /** Result of the rule evaluation, missing if rule was skipped. */
+    result?: boolean;
+    /** Set if rule was skipped due to short-circuit evaluation. */
+    skipped?: true;
+    /** Requested permission. */
+    permission?: string;
+    /** Requested permission with substituted placeholders, `null` if substitution failed. */
+    resolved?: string | null;
+    /** Granted permission that matched requested one. */
+    matched?: string;
+    /** Path to admin claim. */
+    key?: string;
+    /** Name of custom checker function or resource. */
+    name?: string;
+    /** Request method of `resource` rule. */
+    method?: string;
+    /** Matched route pattern of `routes` rule. */
+    route?: string;
+    /** Operand of `not` rule, rule of the request method of `resource` rule or of the matched route of `routes` rule. */
+    rule?: TraceNode;
+    /** Operands of `all` and `any` rules. */
+    rules?: TraceNode[];
+    /** Normalized conditions of `condition` rule. */
+    conditions?: Conditions;
+    /** Field of the failed condition of `condition` rule. */
+    failed?: string;
+  }
+
+  /** Decision trace of the authorization check. */
+  interface DecisionTrace {
+    /** Result of the authorization check. */
+    result: boolean;
+    /** Whether access was granted by the admin rule. */
+    adminShortCircuit: boolean;
+    /** Evaluated rule tree. */
+    rule: TraceNode;
+  }
+
+  /** Authorization decision reported to `onDecision` hook. */
+  interface DecisionEvent {
+    /** Origin of the decision. */
+    source: 'middleware' | 'check' | 'graphql' | 'hasPermission' | 'allowed';
+    /** Value of the subject claim of the access token. */
+    subject: unknown;
+    /** Requested permissions in expression syntax. */
+    permission: string;
+    /** Whether permissions were evaluated or check failed prematurely. */
+    reason: Decision['reason'];
+    /** Result of the authorization check. */
+    result: boolean;
+    /** Whether access token has admin claim. */
+    isAdmin: boolean;
+    /** HTTP method of the request. */
+    method?: string;
+    /** URL of the request. */
+    path?: string;
+    /** Route path, if request was matched by Express route. */
+    route?: string;
+    /** Time of the decision. */
+    timestamp: Date;
+    /** Decision duration in milliseconds. */
+    duration: number;
+  }
+
+  /** Request data available to custom checkers and decision events. */
+  interface CheckContext {
+    /** Request object passed to custom checkers and used to resolve permission placeholders. */
+    req?: object;
+    /** Request method reported to `onDecision` hook. */
+    method?: string;
+    /** Request path reported to `onDecision` hook. */
+    path?: string;
+    /** Route path reported to `onDecision` hook. */
+    route?: string;
+  }
+
+  /** Result of the authorization check. */
+  interface Decision {
+    /** Whether access is granted. */
+    allowed: boolean;
+    /** Whether access is granted only due to `report-only` mode. */
+    softDenied: boolean;
+    /** Whether permissions were evaluated or check failed prematurely. */
+    reason: 'evaluated' | 'token_missing' | 'scope_invalid' | 'scope_unresolved' | 'tenant_missing' | 'tenant_denied';
+    /** Whether access token has admin claim. */
+    isAdmin: boolean;
+    /** Tenant of the request, if `tenant` option is set and tenant is found. */
+    tenant?: string;
+    /** Decision trace, if `trace` option is enabled. */
+    trace: DecisionTrace | null;
+    /** Permission verification methods, if access is granted. */
+    permissions: Express.Permissions | null;
+  }
+
+  /** Framework-agnostic permission checker. */
+  interface PermissionChecker {
+    /** Checks the access token for permissions described by expression string or custom checker. */
+    check(token: object | undefined, permission: string | Checker | Policy, context?: CheckContext): Promise<Decision>;
+    /** Returns error that describes denied decision, or `null` if access is granted. */
+    error(decision: Decision): ForbiddenError | UnauthorizedError | null;
+    /** Creates policy that requires all of requested permissions. */
+    all: PolicyBuilder;
+    /** Creates policy that requires any of requested permissions. */
+    any: PolicyBuilder;
+    /** Creates policy that requires none of requested permissions. */
+    none: PolicyBuilder;
+    /** Creates copy of the policy with name reported in rule descriptions. */
+    policy(name: string, policy: Policy): Policy;
+    /** Creates policy that requires token and request fields to satisfy conditions. */
+    where(conditions: Conditions): Policy;
+  }
+
+  /** Immutable serializable permission policy. */
+  interface Policy {
+    readonly type: 'all' | 'any' | 'none' | 'condition';
+    readonly name?: string;
+    /** Nested rules, empty for `condition` policy. */
+    readonly rules: ReadonlyArray<Policy | RuleDescription>;
+    /** Normalized conditions of `condition` policy. */
+    readonly conditions?: Conditions;
+  }
+
+  /** Value compared by condition operators. */
+  type ConditionValue = string | number | boolean;
+
+  /**
+   * Condition operators. Operand is a value or `$token.*`, `$req.*` reference
+   * to another field, membership operands are lists or references to lists.
+   */
+  interface ConditionOperators {
+    $eq?: ConditionValue;
+    $ne?: ConditionValue;
+    $in?: Array<string | number> | string;
+    $nin?: Array<string | number> | string;
+    $gt?: string | number;
+    $gte?: string | number;
+    $lt?: string | number;
+    $lte?: string | number;
+  }
+
+  /**
+   * Map of `token.*` or `req.*` field path to expected value, list of values
+   * or operators, e.g. `{ 'req.params.ownerId': '$token.sub' }`.
+   */
+  interface Conditions {
+    [field: string]: ConditionValue | Array<string | number> | ConditionOperators;
+  }
+
+  /** Creates policy from permissions, custom checkers and nested policies. */
+  type PolicyBuilder<P extends string = string> = (
+    item: P | Checker | Policy,
+    ...restItems: Array<P | Checker | Policy>
+  ) => Policy;
+
+  /** Options of the granted scope query. */
+  interface ScopeQueryOptions {
+    /** Scope that follows the value, e.g. `read` for `project:42:read`. */
+    action?: string;
+  }
+
+  /** Values of the scope granted for the permission name. */
+  interface ScopeValues {
+    /** Whether wildcard grants every value. */
+    all: boolean;
+    /** Concrete granted values, empty if `all` is `true`. */
+    values: string[];
+  }
+
+  /** Resolves permissions granted to the access token outside of the token. */
+  type ScopeResolver = (token: object, req: object) => string | string[] | Promise<string | string[]>;
+
+  /** Permission resolver with cache options. */
+  interface ScopeResolverOptions {
+    resolve: ScopeResolver;
+    /** Token field(s) or function that make cache key, default is subject and `iat`. */
+    cacheKey?: string | string[] | ((token: object) => unknown);
+    /** Cache lifetime of resolved permissions in milliseconds, default is `60000`. */
+    ttl?: number;
+    /** Milliseconds to wait for the resolver before denying access, default is `1000`. */
+    timeout?: number;
+  }
+
+  /** Token claim with granted permissions. */
+  interface ScopeSource {
+    /** Path to the claim inside the token. */
+    path: string | string[];
+    /** Character separating permissions if claim is a string, default is `claimDelimiter`. */
+    delimiter?: string;
+    /** Permission prepended to every permission of the claim. */
+    prefix?: string;
   }
 
   /** Data available to a custom permission checker. */
@@ -32,6 +311,8 @@ declare namespace expressJwtScope {
     req: express.Request;
     /** Whether or not token possesses admin claim. */
     isAdmin?: boolean;
+    /** Tenant of the request, if `tenant` option is set. */
+    tenant?: string;
     /** Copy of the access token. */
     token: object;
   }
@@ -42,36 +323,149 @@ declare namespace expressJwtScope {
   }
 
   /** Request handling middleware. */
-  interface RequestHandler extends express.RequestHandler {
+  interface RequestHandler<P extends string = string> extends express.RequestHandler {
     /** Add negation of requested permission using logical `and` operator. */
     not: (
-      permission: string | Checker,
-      ...restPermissions: Array<string | Checker>
-    ) => RequestHandler;
+      permission: P | Checker | Policy,
+      ...restPermissions: Array<P | Checker | Policy>
+    ) => RequestHandler<P>;
     /** Add alternative set of permissions to check. */
     or: (
-      permission: string | Checker,
-      ...restPermissions: Array<string | Checker>
-    ) => RequestHandler;
+      permission: P | Checker | Policy,
+      ...restPermissions: Array<P | Checker | Policy>
+    ) => RequestHandler<P>;
+    /** Add conditions on token and request fields using logical `and` operator. */
+    where: (conditions: Conditions) => RequestHandler<P>;
+    /** Returns new request handler with enforcement mode. */
+    mode: (mode: EnforcementMode) => RequestHandler<P>;
     promisify: () => express.RequestHandler;
   }
 
   /** Function produces request handler that check the access token for requested permissions. */
-  interface Factory {
-    (...permissions: Array<string | Checker>): RequestHandler;
+  interface Factory<P extends string = string> {
+    (...permissions: Array<P | Checker | Policy>): RequestHandler<P>;
+    /** Produces request handler from boolean permission expression, e.g. `(read | write) & !ban`. */
+    expr: (expression: string) => RequestHandler<P>;
+    /** Returns permission requirements of the request handlers produced by the factory and mounted in the application. */
+    registry: (app: express.Application | express.Router) => PermissionRequirement[];
+    /** Produces request handler that derives requested permission from request method, e.g. `name:read` for `GET`. */
+    resource: (name: string, options?: ResourceOptions<P>) => RequestHandler<P>;
+    /** Produces single request handler that applies permissions mapped to `'METHOD /path'` routes. */
+    routes: (
+      map: { [route: string]: P | Checker | Policy | Array<P | Checker | Policy> },
+      options?: RouteMapOptions
+    ) => RouteMapHandler<P>;
+    /** Creates policy that requires all of requested permissions. */
+    all: PolicyBuilder<P>;
+    /** Creates policy that requires any of requested permissions. */
+    any: PolicyBuilder<P>;
+    /** Creates policy that requires none of requested permissions. */
+    none: PolicyBuilder<P>;
+    /** Creates copy of the policy with name reported in rule descriptions. */
+    policy(name: string, policy: Policy): Policy;
+    /** Creates policy that requires token and request fields to satisfy conditions. */
+    where(conditions: Conditions): Policy;
+  }
+
+  /** Options of the resource permissions. */
+  interface ResourceOptions<P extends string = string> {
+    /** Map of upper-case request method to action, `null` disables the method. */
+    actions?: { [method: string]: string | null };
+    /** Map of upper-case request method to permissions required in addition to the action. */
+    requires?: { [method: string]: P | Checker | Policy | Array<P | Checker | Policy> };
+  }
+
+  /** Options of the route permission map. */
+  interface RouteMapOptions {
+    /** Deny, allow to any access token or pass through unmatched requests, default is `deny`. */
+    unmatched?: 'deny' | 'allow' | 'passthrough';
+  }
+
+  /** Request handler that applies route permission map. */
+  type RouteMapHandler<P extends string = string> = RequestHandler<P>;
+
+  /** Serializable permission requirement of the request handler. */
+  interface PermissionRequirement {
+    /** Requirement in the expression syntax, admin rule and custom checkers are put in `<>`. */
+    expression: string;
+    /** Rule description tree. */
+    rule: RuleDescription;
+  }
+
+  /** Serializable description of the permission rule. */
+  interface RuleDescription {
+    type: 'admin' | 'all' | 'any' | 'callback' | 'condition' | 'not' | 'permission' | 'resource' | 'routes';
+    /** Requested permission of `permission` rule. */
+    permission?: string;
+    /** Nested rules of `all` and `any` rules. */
+    rules?: RuleDescription[];
+    /** Negated rule of `not` rule. */
+    rule?: RuleDescription;
+    /** Path to admin claim of `admin` rule. */
+    key?: string;
+    /** Function name of `callback` and custom `admin` rules, name of the policy or resource. */
+    name?: string;
+    /** Rules of the request methods of `resource` rule. */
+    methods?: { [method: string]: RuleDescription };
+    /** Normalized conditions of `condition` rule. */
+    conditions?: Conditions;
+    /** Rules of the route patterns of `routes` rule. */
+    routes?: { [route: string]: RuleDescription };
+    /** Handling of unmatched requests of `routes` rule. */
+    unmatched?: RouteMapOptions['unmatched'];
+  }
+
+  /** Route of the Express application with its permission requirements. */
+  interface RoutePermissions {
+    /** Upper-case HTTP method or `ALL`. */
+    method: string;
+    path: string;
+    requirements: PermissionRequirement[];
+  }
+
+  /** Thrown if module or middleware factory received invalid configuration. */
+  class ExpressJwtScopeError extends Error {
+    message: string;
+    name: string;
+
+    constructor(message?: string);
+  }
+
+  /** Thrown if permission expression can not be parsed. */
+  class ExpressionSyntaxError extends ExpressJwtScopeError {
+    /** Position of the offending token, starts from `1`. */
+    column: number;
+    /** Source of the permission expression. */
+    expression: string;
+
+    constructor(message: string, expression: string, column: number);
   }
 
   /** Thrown if permission check failed. */
   class ForbiddenError extends Error {
     expose: boolean;
     message: string;
-    name: 'ForbiddenError';
+    name: 'ForbiddenError' | 'TenantError';
     status: number;
     statusCode: number;
+    /** Response headers, if `bearerChallenge` option is enabled. */
+    headers?: { 'WWW-Authenticate': string };
+    /** Decision trace, if `trace` option is enabled. */
+    readonly trace?: DecisionTrace;
 
     constructor(message?: string);
   }
 
+  /** Thrown if request has no tenant, or the access token has no permissions in the tenant. */
+  class TenantError extends ForbiddenError {
+    name: 'TenantError';
+    reason: 'tenant_missing' | 'tenant_denied';
+    /** Tenant of the request, missing if tenant isn't found. */
+    tenant?: string;
+
+    constructor(message: string, reason: 'tenant_missing' | 'tenant_denied', tenant?: string);
+  }
+
   /** Thrown if the access token not found. */
   class UnauthorizedError extends Error {
     expose: boolean;
@@ -79,6 +473,8 @@ declare namespace expressJwtScope {
     name: 'UnauthorizedError';
     status: number;
     statusCode: number;
+    /** Response headers, if `bearerChallenge` option is enabled. */
+    headers?: { 'WWW-Authenticate': string };
 
     constructor(message?: string);
   }
@@ -88,11 +484,27 @@ declare global {
   namespace Express {
     interface Permissions {
       /** Returns `true` if has admin claim or requested permission. */
-      allowed(permission: string | expressJwtScope.Checker): Promise<boolean>;
+      allowed(permission: string | expressJwtScope.Checker | expressJwtScope.Policy): Promise<boolean>;
+      /** Returns decision trace of the authorization check, if `trace` option is enabled. */
+      explain(): expressJwtScope.DecisionTrace | null;
       /** Returns `true` if the access token has admin claim. */
       isAdmin(): boolean;
+      /** Returns `true` if access is granted only due to `report-only` mode. */
+      isSoftDenied(): boolean;
       /** Returns `true` if the access token has requested permission. */
-      hasPermission(permission: string | expressJwtScope.Checker): Promise<boolean>;
+      hasPermission(permission: string | expressJwtScope.Checker | expressJwtScope.Policy): Promise<boolean>;
+      /** Synchronously returns `true` if the access token has requested permission. */
+      hasPermissionSync(permission: string | expressJwtScope.Policy): boolean;
+      /** Returns `true` if the access token has all of requested permissions. */
+      hasAll(permissions: Array<string | expressJwtScope.Policy>): boolean;
+      /** Returns `true` if the access token has any of requested permissions. */
+      hasAny(permissions: Array<string | expressJwtScope.Policy>): boolean;
+      /** Returns map of the same keys to results of requested permissions. */
+      check<K extends string>(permissions: Record<K, string | expressJwtScope.Policy>): Record<K, boolean>;
+      /** Returns normalized granted permissions. */
+      list(): string[];
+      /** Returns values of the scope that follows permission name in the granted permissions. */
+      scopesFor(name: string, options?: expressJwtScope.ScopeQueryOptions): expressJwtScope.ScopeValues;
     }
 
     interface Request {
@@ -0,0 +1,49 @@
+import expressJwtScope = require('.');
+
+export = koaJwtScope;
+
+/**
+ * Creates a factory function that returns Koa middleware. The access token is read from
+ * `ctx.state` and permission methods are attached to `ctx.state`.
+ */
+declare function koaJwtScope(options?: expressJwtScope.Options): koaJwtScope.Factory;
+
+declare namespace koaJwtScope {
+  /** Koa middleware that checks the access token for requested permissions. */
+  interface Middleware<P extends string = string> {
+    (ctx: any, next: () => Promise<any>): Promise<any>;
+    /** Add negation of requested permission using logical `and` operator. */
+    not: (
+      permission: P | expressJwtScope.Checker | expressJwtScope.Policy,
+      ...restPermissions: Array<P | expressJwtScope.Checker | expressJwtScope.Policy>
+    ) => Middleware<P>;
+    /** Add alternative set of permissions to check. */
+    or: (
+      permission: P | expressJwtScope.Checker | expressJwtScope.Policy,
+      ...restPermissions: Array<P | expressJwtScope.Checker | expressJwtScope.Policy>
+    ) => Middleware<P>;
+    /** Add conditions on token and request fields using logical `and` operator. */
+    where: (conditions: expressJwtScope.Conditions) => Middleware<P>;
+    /** Returns new middleware with enforcement mode. */
+    mode: (mode: expressJwtScope.EnforcementMode) => Middleware<P>;
+  }
+
+  /** Function produces Koa middleware that check the access token for requested permissions. */
+  interface Factory<P extends string = string> {
+    (...permissions: Array<P | expressJwtScope.Checker | expressJwtScope.Policy>): Middleware<P>;
+    /** Produces middleware from boolean permission expression, e.g. `(read | write) & !ban`. */
+    expr: (expression: string) => Middleware<P>;
+    /** Produces middleware that derives requested permission from request method, e.g. `name:read` for `GET`. */
+    resource: (name: string, options?: expressJwtScope.ResourceOptions<P>) => Middleware<P>;
+    /** Creates policy that requires all of requested permissions. */
+    all: expressJwtScope.PolicyBuilder<P>;
+    /** Creates policy that requires any of requested permissions. */
+    any: expressJwtScope.PolicyBuilder<P>;
+    /** Creates policy that requires none of requested permissions. */
+    none: expressJwtScope.PolicyBuilder<P>;
+    /** Creates copy of the policy with name reported in rule descriptions. */
+    policy(name: string, policy: expressJwtScope.Policy): expressJwtScope.Policy;
+    /** Creates policy that requires token and request fields to satisfy conditions. */
+    where(conditions: expressJwtScope.Conditions): expressJwtScope.Policy;
+  }
+}
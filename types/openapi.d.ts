@@ -0,0 +1,52 @@
+import expressJwtScope = require('.');
+
+export = openapiSecurity;
+
+/**
+ * Generates OpenAPI 3 `security` requirements of the operations and security scheme with
+ * all required scopes from the list of routes produced by `routePermissions()`.
+ */
+declare function openapiSecurity(
+  routes: expressJwtScope.RoutePermissions[],
+  options?: openapiSecurity.Options
+): openapiSecurity.Document;
+
+declare namespace openapiSecurity {
+  /** Converts rule description into list of alternative scope sets, any of which satisfies the rule. */
+  function scopeAlternatives(rule: expressJwtScope.RuleDescription, method?: string): string[][];
+
+  /** OpenAPI security scheme. */
+  interface SecurityScheme {
+    type: string;
+    /** OAuth flows, scopes are set in every flow. */
+    flows?: { [flow: string]: object };
+    [field: string]: unknown;
+  }
+
+  /** Options of the generated security requirements. */
+  interface Options {
+    /** Name of the security scheme, default is `jwtScope`. */
+    schemeName?: string;
+    /** Security scheme, default is `oauth2` scheme with `clientCredentials` flow. */
+    scheme?: SecurityScheme;
+    /** Map of scope to its description. */
+    scopeDescriptions?: { [scope: string]: string };
+  }
+
+  /** Security requirement that maps scheme name to required scopes. */
+  interface SecurityRequirement {
+    [schemeName: string]: string[];
+  }
+
+  /** Part of the OpenAPI document to merge into the API document. */
+  interface Document {
+    paths: {
+      [path: string]: {
+        [operation: string]: { security: SecurityRequirement[] };
+      };
+    };
+    components: {
+      securitySchemes: { [schemeName: string]: SecurityScheme };
+    };
+  }
+}
@@ -0,0 +1,68 @@
+import express = require('express');
+import expressJwtScope = require('.');
+
+export = createTesting;
+
+/**
+ * Creates helpers for unit testing routes protected by the middleware. Tokens and requests
+ * are built according to the same options passed to the module.
+ */
+declare function createTesting(options?: expressJwtScope.Options): createTesting.Testing;
+
+declare namespace createTesting {
+  /** Granted permissions put to the first scope source, `null` builds request without token. */
+  type GrantedScope = string | string[] | null;
+
+  /** Middleware produced by the factory, or permission to create middleware from. */
+  type Protection = express.RequestHandler | string | expressJwtScope.Checker | expressJwtScope.Policy;
+
+  /** Options of the built access token. */
+  interface TokenOptions {
+    /** Value of the admin claim, requires `adminKey` path. */
+    admin?: unknown;
+    /** Claims merged into the token. */
+    claims?: object;
+  }
+
+  /** Options of the built request. */
+  interface RequestOptions extends TokenOptions {
+    /** Fields merged into the request, e.g. `params`. */
+    req?: object;
+  }
+
+  /** Result of the middleware run. */
+  interface RunResult {
+    allowed: boolean;
+    /** Error thrown or passed to `next()` by the middleware. */
+    error?: Error;
+    req: express.Request;
+  }
+
+  /** Row of the decision matrix. */
+  interface MatrixRow {
+    grantedScope: GrantedScope;
+    expected: boolean;
+    allowed: boolean;
+    error?: Error;
+  }
+
+  /** Testing helpers. */
+  interface Testing {
+    /** Builds access token with granted permissions. */
+    token(grantedScope?: string | string[], options?: TokenOptions): object;
+    /** Builds request object with the access token at `tokenKey`. */
+    request(grantedScope: GrantedScope, options?: RequestOptions): express.Request;
+    /** Runs middleware against request with granted permissions. */
+    run(middleware: Protection, grantedScope: GrantedScope, options?: RequestOptions): Promise<RunResult>;
+    /** Resolves to request with permission methods, rejects `AssertionError` if access is denied. */
+    expectAllowed(middleware: Protection, grantedScope: GrantedScope, options?: RequestOptions): Promise<express.Request>;
+    /** Resolves to authorization error, rejects `AssertionError` if access is allowed. */
+    expectDenied(middleware: Protection, grantedScope: GrantedScope, options?: RequestOptions): Promise<Error>;
+    /** Checks middleware against `[grantedScope, allowed]` rows, rejects `AssertionError` with report of decisions. */
+    matrix(
+      middleware: Protection,
+      table: Array<[GrantedScope, boolean]>,
+      options?: RequestOptions
+    ): Promise<MatrixRow[]>;
+  }
+}
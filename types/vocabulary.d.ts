@@ -0,0 +1,10 @@
+import expressJwtScope = require('.');
+
+/** Options of the generated type declaration. */
+export interface TypeDefinitionOptions extends expressJwtScope.Options {
+  /** Name of the generated type, default is `Permission`. */
+  typeName?: string;
+}
+
+/** Generates TypeScript declaration of literal union type of the permissions described by vocabulary. */
+export function typeDefinition(vocabulary: { [name: string]: string[] }, options?: TypeDefinitionOptions): string;
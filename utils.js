@@ -1,15 +1,44 @@
 'use strict'
 
+const get = require('lodash.get')
+const { ExpressJwtScopeError } = require('./errors')
+const { isPolicy } = require('./policy')
+
+/**
+ * Characters allowed in permission by claim grammar presets: `strict` word
+ * characters, `oauth` scope-token characters (RFC 6749) and `uri` characters
+ * (RFC 3986).
+ */
+const claimGrammars = {
+  strict: '[a-zA-Z0-9_]',
+  oauth: '[\\x21\\x23-\\x5B\\x5D-\\x7E]',
+  uri: "[a-zA-Z0-9\\-._~:/?#\\[\\]@!$&'()+,;=%]"
+}
+
+/** ASCII punctuation characters allowed as delimiters. */
+const delimiterRegex = /[-!"#$%&'()+,./:;<=>?@[\]^`{|}~]/
+
+/** Request property reference in the requested permission, e.g. `{params.id}`. */
+const placeholderPattern = '\\{[\\w-]+(?:\\.[\\w-]+)*\\}'
+
 function deepCopy(origin) {
   return typeof origin === 'object'
     ? JSON.parse(JSON.stringify(origin))
     : origin
 }
 
+function isBoolean(value) {
+  return value === true || value === false
+}
+
 function isFunction(value) {
   return typeof value === 'function'
 }
 
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]'
+}
+
 function isString(value) {
   return typeof value === 'string' || value instanceof String
 }
@@ -18,15 +47,29 @@ function isString(value) {
 function moduleArgv(options) {
   let {
     adminKey,
+    bearerChallenge = false,
+    cacheSize = 1000,
     claimDelimiter = ',',
+    claimGrammar = 'strict',
     claimScopeDelimiter = ':',
     credentialsRequired = true,
+    implies,
+    invalidScope = 'fail',
+    mode = 'enforce',
+    onDecision,
+    onWarning,
     requestProperty = 'permissions',
+    resolveScope,
+    roles,
+    rolesKey = 'roles',
     scopeKey = 'scope',
-    tokenKey = 'user'
+    segmentGlob = false,
+    subjectKey = 'sub',
+    tenant,
+    tokenKey = 'user',
+    trace = false,
+    vocabulary
   } = options || {}
-  const claimCharset = '[a-zA-Z0-9_]'
-  const delimiterRegex = /[-!"#$%&'()+,./:;<=>?@[\]^`{|}~]/
 
   const validDelimiter = delimiter =>
     isString(delimiter) &&
@@ -55,62 +98,989 @@ function moduleArgv(options) {
     throw new TypeError(
       `adminKey expected non-empty string or an array, got '${adminKey}'`
     )
+  } else if (!validPropPath(rolesKey)) {
+    throw new TypeError(
+      `rolesKey expected non-empty string or an array, got '${rolesKey}'`
+    )
+  } else if (!validPropPath(subjectKey)) {
+    throw new TypeError(
+      `subjectKey expected non-empty string or an array, got '${subjectKey}'`
+    )
+  } else if (!(Number.isSafeInteger(cacheSize) && cacheSize >= 0)) {
+    throw new TypeError(
+      `cacheSize expected non-negative integer, got '${cacheSize}'`
+    )
+  } else if (!['fail', 'skip'].includes(invalidScope)) {
+    throw new TypeError(
+      `invalidScope expected 'fail' or 'skip', got '${invalidScope}'`
+    )
+  } else if (!(onDecision === undefined || isFunction(onDecision))) {
+    throw new TypeError(`onDecision expected a function, got '${onDecision}'`)
+  } else if (
+    !(
+      resolveScope === undefined ||
+      isFunction(resolveScope) ||
+      (isPlainObject(resolveScope) && isFunction(resolveScope.resolve))
+    )
+  ) {
+    throw new TypeError(
+      `resolveScope expected a function or { resolve: function }, got '${resolveScope}'`
+    )
+  } else if (!(onWarning === undefined || isFunction(onWarning))) {
+    throw new TypeError(`onWarning expected a function, got '${onWarning}'`)
+  } else if (!(vocabulary === undefined || isPlainObject(vocabulary))) {
+    throw new TypeError(`vocabulary expected an object, got '${vocabulary}'`)
+  } else if (!(implies === undefined || isPlainObject(implies))) {
+    throw new TypeError(`implies expected an object, got '${implies}'`)
+  } else if (!(roles === undefined || isPlainObject(roles))) {
+    throw new TypeError(`roles expected an object, got '${roles}'`)
+  } else if (
+    !(
+      isBoolean(bearerChallenge) ||
+      (isPlainObject(bearerChallenge) &&
+        (bearerChallenge.realm === undefined ||
+          isString(bearerChallenge.realm)))
+    )
+  ) {
+    throw new TypeError(
+      `bearerChallenge expected a boolean or { realm: string }, got '${bearerChallenge}'`
+    )
   } else if (!validClaimDelimiter(claimDelimiter)) {
-    throw new Error(
+    throw new ExpressJwtScopeError(
       'claimDelimiter expected unescaped ASCII punctuation character or space,' +
         ` got '${claimDelimiter}'`
     )
   } else if (!validDelimiter(claimScopeDelimiter)) {
-    throw new Error(
+    throw new ExpressJwtScopeError(
       'claimScopeDelimiter expected unescaped ASCII punctuation character,' +
         ` got '${claimScopeDelimiter}'`
     )
   } else if (claimDelimiter === claimScopeDelimiter) {
-    throw new Error(
+    throw new ExpressJwtScopeError(
       'claimDelimiter and claimScopeDelimiter can not be the same character'
     )
   }
 
+  const claimCharset = claimGrammarCharset(
+    claimGrammar,
+    claimDelimiter,
+    claimScopeDelimiter
+  )
+
   adminKey = Array.isArray(adminKey) ? adminKey.join('.') : adminKey
   requestProperty = Array.isArray(requestProperty)
     ? requestProperty.join('.')
     : requestProperty
-  scopeKey = Array.isArray(scopeKey) ? scopeKey.join('.') : scopeKey
+  rolesKey = Array.isArray(rolesKey) ? rolesKey.join('.') : rolesKey
+  const scopeSources =
+    Array.isArray(scopeKey) && scopeKey.some(isPlainObject)
+      ? scopeSourceList(
+          scopeKey,
+          claimDelimiter,
+          claimCharset,
+          claimScopeDelimiter
+        )
+      : [
+          {
+            path: Array.isArray(scopeKey) ? scopeKey.join('.') : scopeKey,
+            delimiter: claimDelimiter,
+            prefix: undefined
+          }
+        ]
+  scopeKey = scopeSources.length === 1 ? scopeSources[0].path : scopeSources
+  subjectKey = Array.isArray(subjectKey) ? subjectKey.join('.') : subjectKey
   tokenKey = Array.isArray(tokenKey) ? tokenKey.join('.') : tokenKey
+  segmentGlob = segmentGlob === true
+  bearerChallenge =
+    bearerChallenge === false
+      ? null
+      : { realm: bearerChallenge.realm && String(bearerChallenge.realm) }
+  resolveScope = resolveScope && scopeResolverArgv(resolveScope, subjectKey)
+  tenant = tenant === undefined ? null : tenantArgv(tenant, claimCharset)
+  roles =
+    roles && expandRoles(roles, claimCharset, claimScopeDelimiter, segmentGlob)
+  implies =
+    implies &&
+    expandImplications(implies, claimCharset, claimScopeDelimiter, segmentGlob)
+  vocabulary =
+    vocabulary &&
+    expandVocabulary(vocabulary, claimCharset, claimScopeDelimiter, segmentGlob)
 
   return {
     adminKey,
+    bearerChallenge,
+    cacheSize,
     claimCharset,
     claimDelimiter,
     claimScopeDelimiter,
     credentialsRequired: credentialsRequired !== false,
+    implies,
+    invalidScope,
+    mode: enforcementMode(mode),
+    onDecision,
+    onWarning,
     requestProperty,
+    resolveScope,
+    roles,
+    rolesKey,
     scopeKey,
-    tokenKey
+    scopeSources,
+    segmentGlob,
+    subjectKey,
+    tenant,
+    tokenKey,
+    trace: trace === true,
+    vocabulary
+  }
+}
+
+/**
+ * Validate enforcement mode. Failed checks deny access in `enforce` mode and
+ * are only reported in `report-only` mode.
+ */
+function enforcementMode(mode) {
+  if (!['enforce', 'report-only'].includes(mode)) {
+    throw new TypeError(
+      `mode expected 'enforce' or 'report-only', got '${mode}'`
+    )
+  }
+  return mode
+}
+
+/**
+ * Validate `resolveScope` option. Resolved permissions are cached for `ttl`
+ * milliseconds by the `cacheKey` token fields (subject and issue time by
+ * default), resolver that runs longer than `timeout` milliseconds fails.
+ */
+function scopeResolverArgv(resolveScope, subjectKey) {
+  const {
+    resolve,
+    cacheKey = [subjectKey, 'iat'],
+    ttl = 60000,
+    timeout = 1000
+  } = isFunction(resolveScope) ? { resolve: resolveScope } : resolveScope
+  const validPath = path => isString(path) && path.length
+
+  if (
+    !(
+      isFunction(cacheKey) ||
+      validPath(cacheKey) ||
+      (Array.isArray(cacheKey) && cacheKey.length && cacheKey.every(validPath))
+    )
+  ) {
+    throw new TypeError(
+      `resolveScope cacheKey expected a function, path or list of paths, got '${cacheKey}'`
+    )
+  } else if (!(Number.isFinite(ttl) && ttl >= 0)) {
+    throw new TypeError(
+      `resolveScope ttl expected non-negative number, got '${ttl}'`
+    )
+  } else if (!(Number.isFinite(timeout) && timeout > 0)) {
+    throw new TypeError(
+      `resolveScope timeout expected positive number, got '${timeout}'`
+    )
+  }
+
+  return {
+    resolve,
+    cacheKey: isFunction(cacheKey) ? cacheKey : [].concat(cacheKey),
+    ttl,
+    timeout
+  }
+}
+
+/**
+ * Validate `tenant` option: path in the request object, function of request
+ * and token, or `{ resolve, namespace, global }`. Tenant namespace is the
+ * first scope of granted permissions, built from `namespace` template, e.g.
+ * `t_{tenant}`, that must have literal prefix or suffix. `global` lists names
+ * of permissions granted in every tenant. `isNamespace(scope)` checks that
+ * scope is a namespace of some tenant, `explicit` is set if `namespace` is
+ * configured.
+ */
+function tenantArgv(tenant, claimCharset) {
+  const options = isPlainObject(tenant) ? tenant : { resolve: tenant }
+  const { resolve, namespace = 't_{tenant}', global = [] } = options
+  const nameRegex = new RegExp(`^${claimCharset}+$`)
+  const [prefix, suffix, ...rest] = isString(namespace)
+    ? namespace.split('{tenant}')
+    : []
+
+  if (
+    !(
+      isFunction(resolve) ||
+      ((isString(resolve) || Array.isArray(resolve)) && resolve.length)
+    )
+  ) {
+    throw new TypeError(
+      `tenant expected a path, function or { resolve }, got '${resolve}'`
+    )
+  } else if (
+    suffix === undefined ||
+    rest.length ||
+    !nameRegex.test(`${prefix}${suffix}`)
+  ) {
+    throw new ExpressJwtScopeError(
+      `tenant namespace expected single scope with '{tenant}' and literal prefix or suffix, got '${namespace}'`
+    )
+  } else if (
+    !(Array.isArray(global) && global.every(name => nameRegex.test(name)))
+  ) {
+    throw new ExpressJwtScopeError(
+      `tenant global expected list of permission names, got '${global}'`
+    )
+  }
+
+  return {
+    resolve: isFunction(resolve)
+      ? resolve
+      : req => get(req, Array.isArray(resolve) ? resolve.join('.') : resolve),
+    namespace: value => {
+      const scope = `${prefix}${value}${suffix}`
+      return value !== '' && nameRegex.test(scope) ? scope : undefined
+    },
+    isNamespace: scope =>
+      scope.length > prefix.length + suffix.length &&
+      scope.startsWith(prefix) &&
+      scope.endsWith(suffix),
+    global: Object.freeze(global.slice()),
+    explicit: options.namespace !== undefined
+  }
+}
+
+/**
+ * Returns granted permissions of the tenant `namespace` without namespace
+ * scope, and permissions with `global` names. Returns `null` if no permission
+ * is granted in the namespace. Namespace permissions of wildcards only, e.g.
+ * `t_acme:**`, are kept only if `wildcards` is set.
+ */
+function tenantScope(grantedScope, namespace, global, wildcards) {
+  let granted = false
+  const outputScope = []
+  for (const claim of grantedScope) {
+    if (claim[0] === namespace) {
+      granted = true
+      if (
+        claim.length > 1 &&
+        (wildcards || !claim.slice(1).every(scope => /^\*+$/.test(scope)))
+      ) {
+        outputScope.push(claim.slice(1))
+      }
+    } else if (global.includes(claim[0])) {
+      outputScope.push(claim)
+    }
+  }
+
+  return granted ? outputScope : null
+}
+
+/**
+ * Validate list of granted scope sources `{ path, delimiter, prefix }`.
+ * Permissions of the source are split by own `delimiter` (`claimDelimiter` by
+ * default) and prepended with `prefix` permission, if it's set.
+ */
+function scopeSourceList(
+  sources,
+  claimDelimiter,
+  claimCharset,
+  claimScopeDelimiter
+) {
+  const prefixRegex = new RegExp(
+    `^${claimCharset}+(\\${claimScopeDelimiter}${claimCharset}+)*$`
+  )
+
+  return sources.map((source, index) => {
+    if (!isPlainObject(source)) {
+      throw new TypeError(
+        `scopeKey [${
+          index + 1
+        }] expected { path, delimiter, prefix }, got '${source}'`
+      )
+    }
+
+    const { path, delimiter = claimDelimiter, prefix } = source
+    if (!((isString(path) || Array.isArray(path)) && path.length)) {
+      throw new TypeError(
+        `scopeKey [${
+          index + 1
+        }] path expected non-empty string or an array, got '${path}'`
+      )
+    } else if (
+      !(
+        isString(delimiter) &&
+        delimiter.length === 1 &&
+        (delimiter === ' ' || delimiterRegex.test(delimiter))
+      ) ||
+      delimiter === claimScopeDelimiter
+    ) {
+      throw new ExpressJwtScopeError(
+        `scopeKey [${
+          index + 1
+        }] delimiter expected ASCII punctuation character or space` +
+          ` other than claimScopeDelimiter, got '${delimiter}'`
+      )
+    } else if (
+      !(prefix === undefined || (isString(prefix) && prefixRegex.test(prefix)))
+    ) {
+      throw new ExpressJwtScopeError(
+        `scopeKey [${index + 1}] has invalid prefix '${prefix}'`
+      )
+    }
+
+    return {
+      path: Array.isArray(path) ? path.join('.') : path,
+      delimiter,
+      prefix:
+        prefix === undefined ? undefined : prefix.split(claimScopeDelimiter)
+    }
+  })
+}
+
+/**
+ * Returns regular expression pattern of a single permission character for
+ * `claimGrammar` preset name or `{ charset }` custom character class.
+ * Delimiters, whitespace and characters reserved by wildcards, placeholders and
+ * expression syntax are excluded from any grammar.
+ */
+function claimGrammarCharset(
+  claimGrammar,
+  claimDelimiter,
+  claimScopeDelimiter
+) {
+  let charset
+  if (isString(claimGrammar)) {
+    if (!Object.prototype.hasOwnProperty.call(claimGrammars, claimGrammar)) {
+      throw new ExpressJwtScopeError(
+        `claimGrammar expected one of ${Object.keys(claimGrammars).join(
+          ', '
+        )} or { charset }, got '${claimGrammar}'`
+      )
+    }
+    charset = claimGrammars[claimGrammar]
+  } else if (isPlainObject(claimGrammar) && isString(claimGrammar.charset)) {
+    charset = String(claimGrammar.charset)
+    const validCharset = () => {
+      try {
+        RegExp(charset)
+        return /^\[\^?(?:\\.|[^\]\\])+\]$/.test(charset)
+      } catch (error) {
+        return false
+      }
+    }
+    if (!validCharset()) {
+      throw new ExpressJwtScopeError(
+        `claimGrammar charset expected regular expression character class, got '${charset}'`
+      )
+    }
+  } else {
+    throw new TypeError(
+      `claimGrammar expected a string or { charset: string }, got '${claimGrammar}'`
+    )
+  }
+
+  const reserved = `*{}&|!()${claimDelimiter}${claimScopeDelimiter}`
+    .split('')
+    .map(char => `\\${char}`)
+    .join('')
+  return `(?:(?![\\s${reserved}])${charset})`
+}
+
+/**
+ * Validate role definitions and resolve each role into list of permissions.
+ * Role's permission list may reference other roles by name.
+ */
+function expandRoles(roles, claimCharset, claimScopeDelimiter, segmentGlob) {
+  const grantedClaimRegex = grantedClaimRegExp(
+    claimCharset,
+    claimScopeDelimiter,
+    segmentGlob
+  )
+  const isRole = name => Object.prototype.hasOwnProperty.call(roles, name)
+  const expanded = new Map()
+
+  const expand = (role, path) => {
+    if (expanded.has(role)) {
+      return expanded.get(role)
+    } else if (path.includes(role)) {
+      throw new ExpressJwtScopeError(
+        `Circular role inheritance: ${path.concat(role).join(' -> ')}`
+      )
+    } else if (!Array.isArray(roles[role])) {
+      throw new TypeError(
+        `Role '${role}' expected an array of permissions, got '${roles[role]}'`
+      )
+    }
+
+    const outputScope = []
+    for (const claim of roles[role]) {
+      if (isString(claim) && isRole(claim)) {
+        outputScope.push(...expand(claim, path.concat(role)))
+      } else if (isString(claim) && grantedClaimRegex.test(claim)) {
+        outputScope.push(claim.split(claimScopeDelimiter))
+      } else {
+        throw new ExpressJwtScopeError(
+          `Role '${role}' has invalid permission '${claim}'`
+        )
+      }
+    }
+    expanded.set(role, outputScope)
+
+    return outputScope
+  }
+
+  Object.keys(roles).forEach(role => expand(role, []))
+
+  return expanded
+}
+
+/**
+ * Validate permission implication map and resolve each implication source
+ * into transitive closure of implied permissions. Implication is followed
+ * when its target covers the next source. Target that overlaps its own source
+ * (e.g. `doc:*` implies `doc:read`) adds nothing to the closure.
+ */
+function expandImplications(
+  implies,
+  claimCharset,
+  claimScopeDelimiter,
+  segmentGlob
+) {
+  const grantedClaimRegex = grantedClaimRegExp(
+    claimCharset,
+    claimScopeDelimiter,
+    segmentGlob
+  )
+  const parseClaim = claim => {
+    if (!isString(claim) || !grantedClaimRegex.test(claim)) {
+      throw new ExpressJwtScopeError(`Invalid implied permission '${claim}'`)
+    }
+    return claim.split(claimScopeDelimiter)
+  }
+
+  const edges = Object.keys(implies).map(source => ({
+    name: source,
+    source: parseClaim(source),
+    targets: [].concat(implies[source]).map(parseClaim)
+  }))
+  const closures = new Map()
+
+  const expand = (edge, path) => {
+    if (closures.has(edge)) {
+      return closures.get(edge)
+    } else if (path.includes(edge)) {
+      const cycle = path.slice(path.indexOf(edge)).concat(edge)
+      throw new ExpressJwtScopeError(
+        `Circular permission implication: ${cycle
+          .map(({ name }) => name)
+          .join(' -> ')}`
+      )
+    }
+
+    const outputScope = edge.targets.slice()
+    for (const next of edges) {
+      if (
+        next !== edge &&
+        edge.targets.some(target => matchClaim(target, next.source))
+      ) {
+        outputScope.push(...expand(next, path.concat(edge)))
+      }
+    }
+    closures.set(edge, outputScope)
+
+    return outputScope
+  }
+
+  return edges.map(edge => ({ source: edge.source, targets: expand(edge, []) }))
+}
+
+/**
+ * Validate permission vocabulary, a map of permission name to list of allowed
+ * scopes, and resolve it into list of known permissions. Permission name
+ * without scope is always known. Scopes may have wildcards.
+ */
+function expandVocabulary(
+  vocabulary,
+  claimCharset,
+  claimScopeDelimiter,
+  segmentGlob
+) {
+  const grantedClaimRegex = grantedClaimRegExp(
+    claimCharset,
+    claimScopeDelimiter,
+    segmentGlob
+  )
+  const permissions = new Set()
+  for (const [name, scopes] of Object.entries(vocabulary)) {
+    if (!Array.isArray(scopes)) {
+      throw new TypeError(
+        `Vocabulary permission '${name}' expected an array of scopes, got '${scopes}'`
+      )
+    }
+    for (const permission of [name].concat(
+      scopes.map(scope => `${name}${claimScopeDelimiter}${scope}`)
+    )) {
+      if (
+        !grantedClaimRegex.test(permission) ||
+        permission.split(claimScopeDelimiter)[0] !== name
+      ) {
+        throw new ExpressJwtScopeError(
+          `Vocabulary has invalid permission '${permission}'`
+        )
+      }
+      permissions.add(permission)
+    }
+  }
+
+  return [...permissions].map(permission => ({
+    permission,
+    claim: permission.split(claimScopeDelimiter)
+  }))
+}
+
+/** Checks that requested `claim` is described by vocabulary. */
+function inVocabulary(vocabulary, claim) {
+  return vocabulary.some(entry => matchClaim(entry.claim, claim))
+}
+
+/** Checks that granted `claim` covers or is covered by vocabulary permission. */
+function grantedInVocabulary(vocabulary, claim) {
+  return vocabulary.some(entry => overlapClaims(entry.claim, claim))
+}
+
+/** Returns up to three vocabulary permissions closest to misspelled `permission`. */
+function suggestPermissions(vocabulary, permission) {
+  const maxDistance = Math.max(2, Math.floor(permission.length / 3))
+  return vocabulary
+    .map(entry => ({
+      permission: entry.permission,
+      distance: editDistance(entry.permission, permission)
+    }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ permission }) => permission)
+}
+
+/** Returns Levenshtein distance between two strings. */
+function editDistance(source, target) {
+  let previous = Array.from({ length: target.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= source.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= target.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (source[i - 1] === target[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+
+  return previous[target.length]
+}
+
+/** Formats `WWW-Authenticate` header value of the `Bearer` scheme (RFC 6750). */
+function bearerChallenge(params) {
+  const attributes = Object.keys(params)
+    .filter(name => params[name] !== undefined)
+    .map(name => `${name}="${String(params[name]).replace(/["\\]/g, '\\$&')}"`)
+  return attributes.length ? `Bearer ${attributes.join(', ')}` : 'Bearer'
+}
+
+/** Checks that requested permission has request property references. */
+function isTemplate(claim) {
+  return claim.some(scope => scope.includes('{'))
+}
+
+/**
+ * Substitutes references in requested permission with values from `req`.
+ * Returns `null` if referenced value is missing or doesn't match `valueRegex`.
+ */
+function resolveTemplate(claim, req, valueRegex) {
+  let valid = true
+  const resolved = claim.map(scope =>
+    scope.replace(/\{([\w.-]+)\}/g, (_, path) => {
+      const value = get(req, path, undefined)
+      if (
+        !(isString(value) || Number.isFinite(value)) ||
+        !valueRegex.test(String(value))
+      ) {
+        valid = false
+      }
+      return String(value)
+    })
+  )
+
+  return valid ? resolved : null
+}
+
+/**
+ * Extends granted scope with permissions implied by it. Implication applies
+ * when a granted permission covers its source, i.e. `admin:users` doesn't
+ * imply permissions of `admin:*`.
+ */
+function impliedScope(grantedScope, implications) {
+  const outputScope = grantedScope.slice()
+  for (const { source, targets } of implications) {
+    if (grantedScope.some(granted => matchClaim(granted, source))) {
+      outputScope.push(...targets)
+    }
+  }
+
+  return outputScope
+}
+
+/**
+ * Checks that `granted` permission covers `requested` permission.
+ * Granted scope `*` matches single requested scope, `**` matches any number
+ * of requested scopes (including none) and glob scope like `sales_*` matches
+ * requested scope with the same prefix and suffix. Trailing `*` scopes
+ * match missing requested scopes, i.e. `user:*` covers `user`.
+ */
+function matchClaim(granted, requested, grantedIndex = 0, requestedIndex = 0) {
+  if (grantedIndex === granted.length) {
+    return requestedIndex === requested.length
+  }
+
+  const scope = granted[grantedIndex]
+  if (scope === '**') {
+    for (let index = requestedIndex; index <= requested.length; index++) {
+      if (matchClaim(granted, requested, grantedIndex + 1, index)) {
+        return true
+      }
+    }
+    return false
+  } else if (requestedIndex === requested.length) {
+    return granted
+      .slice(grantedIndex)
+      .every(scope => scope === '*' || scope === '**')
+  } else if (
+    scope === '*' ||
+    scope === requested[requestedIndex] ||
+    (scope.includes('*') && matchGlob(scope, requested[requestedIndex]))
+  ) {
+    return matchClaim(granted, requested, grantedIndex + 1, requestedIndex + 1)
+  } else {
+    return false
+  }
+}
+
+/** Checks that `value` matches glob `pattern`, where `*` is any substring. */
+function matchGlob(pattern, value) {
+  return globRegExp(pattern).test(value)
+}
+
+/** Returns regular expression that matches glob `pattern`. */
+function globRegExp(pattern) {
+  const regex = pattern
+    .split('*')
+    .map(part => part.replace(/[-[\]{}()*+?.,\\^$|#]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${regex}$`)
+}
+
+/** Actions of the resource permissions required by request methods. */
+const defaultActions = {
+  GET: 'read',
+  HEAD: 'read',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+}
+
+/**
+ * Validate method to action map of the resource. `actions` override default
+ * map, methods mapped to `null` are removed.
+ */
+function resourceActions(actions) {
+  if (!(actions === undefined || isPlainObject(actions))) {
+    throw new TypeError(`actions expected an object, got '${actions}'`)
+  }
+
+  const outputActions = Object.assign({}, defaultActions, actions)
+  for (const [method, action] of Object.entries(outputActions)) {
+    if (!/^[A-Z]+$/.test(method)) {
+      throw new ExpressJwtScopeError(
+        `actions expected upper-case method, got '${method}'`
+      )
+    } else if (action === null) {
+      delete outputActions[method]
+    } else if (!(isString(action) && action.length)) {
+      throw new TypeError(
+        `actions [${method}] expected non-empty string or null, got '${action}'`
+      )
+    }
+  }
+  return outputActions
+}
+
+/**
+ * Parses `'METHOD /path'` route pattern of the route map. Method `*` matches
+ * any method, path supports `:name` parameters and `*` wildcard.
+ */
+function routePattern(route) {
+  const match = isString(route) && /^(\*|[A-Z]+) +(\/\S*)$/.exec(route.trim())
+  if (!match) {
+    throw new ExpressJwtScopeError(
+      `Invalid route '${route}', expected 'METHOD /path'`
+    )
+  }
+
+  const [, method, path] = match
+  const keys = []
+  const regex = path
+    .replace(/\/+$/, '')
+    .split(/(:\w+|\*)/)
+    .map(part => {
+      if (part === '*') {
+        return '(?:.*)'
+      } else if (part.startsWith(':')) {
+        keys.push(part.slice(1))
+        return '([^/]+?)'
+      }
+      return part.replace(/[-[\]{}()+?.,\\^$|#]/g, '\\$&')
+    })
+    .join('')
+  return { method, path, keys, regexp: new RegExp(`^${regex}\\/?$`, 'i') }
+}
+
+/**
+ * Returns parameters of the request path matched by the route `pattern`, or
+ * `null`. `HEAD` requests match `GET` routes. Path with malformed parameter
+ * encoding doesn't match.
+ */
+function matchRoute(pattern, method, path) {
+  if (
+    !(
+      pattern.method === '*' ||
+      pattern.method === method ||
+      (method === 'HEAD' && pattern.method === 'GET')
+    )
+  ) {
+    return null
+  }
+
+  const match = pattern.regexp.exec(path)
+  if (!match) {
+    return null
+  }
+  const params = {}
+  try {
+    pattern.keys.forEach((key, index) => {
+      params[key] = decodeURIComponent(match[index + 1])
+    })
+  } catch (error) {
+    if (error instanceof URIError) {
+      return null
+    }
+    throw error
+  }
+  return params
+}
+
+/** Indexes built for granted scopes, see `scopeIndex`. */
+const scopeIndexes = new WeakMap()
+
+/**
+ * Returns trie index of the `grantedScope`, which finds granted permission
+ * that covers requested permission without scanning the whole scope. Index is
+ * built once per `grantedScope` array.
+ */
+function scopeIndex(grantedScope) {
+  if (scopeIndexes.has(grantedScope)) {
+    return scopeIndexes.get(grantedScope)
+  }
+
+  const createNode = () => ({
+    children: new Map(),
+    globs: [],
+    globstar: null,
+    position: -1,
+    wildcard: null
+  })
+  const root = createNode()
+  for (const [position, granted] of grantedScope.entries()) {
+    let node = root
+    for (const scope of granted) {
+      if (scope === '**') {
+        node = node.globstar = node.globstar || createNode()
+      } else if (scope === '*') {
+        node = node.wildcard = node.wildcard || createNode()
+      } else if (scope.includes('*')) {
+        let glob = node.globs.find(glob => glob.pattern === scope)
+        if (!glob) {
+          glob = {
+            pattern: scope,
+            regex: globRegExp(scope),
+            node: createNode()
+          }
+          node.globs.push(glob)
+        }
+        node = glob.node
+      } else {
+        if (!node.children.has(scope)) {
+          node.children.set(scope, createNode())
+        }
+        node = node.children.get(scope)
+      }
+    }
+    if (node.position === -1) {
+      node.position = position
+    }
+  }
+
+  // Collects positions of all granted permissions that match `requested`,
+  // so the first matching permission is reported as `matchClaim` scan does.
+  const search = (node, requested, index, positions) => {
+    if (node.globstar) {
+      for (let next = index; next <= requested.length; next++) {
+        search(node.globstar, requested, next, positions)
+      }
+    }
+    if (index === requested.length) {
+      if (node.position !== -1) {
+        positions.push(node.position)
+      }
+      if (node.wildcard) {
+        search(node.wildcard, requested, index, positions)
+      }
+      return positions
+    }
+
+    const scope = requested[index]
+    if (node.children.has(scope)) {
+      search(node.children.get(scope), requested, index + 1, positions)
+    }
+    if (node.wildcard) {
+      search(node.wildcard, requested, index + 1, positions)
+    }
+    for (const glob of node.globs) {
+      if (glob.regex.test(scope)) {
+        search(glob.node, requested, index + 1, positions)
+      }
+    }
+
+    return positions
+  }
+
+  const index = {
+    /** Returns first granted permission that covers `requested` permission. */
+    match(requested) {
+      const positions = search(root, requested, 0, [])
+      return positions.length ? grantedScope[Math.min(...positions)] : undefined
+    }
+  }
+  scopeIndexes.set(grantedScope, index)
+
+  return index
+}
+
+/**
+ * Placeholder of any value when checking if wildcard grants every value. It's
+ * never a part of the granted scope, since it's outside of claim grammars.
+ */
+const anyValue = '\u0000'
+
+/**
+ * Returns values of the scope segment that follows `name` in the granted
+ * permissions, which cover `[...name, value, ...action]` requested permission.
+ * If wildcard grants any value, `all` is `true` and `values` are empty. Glob
+ * scopes aren't expanded.
+ */
+function grantedValues(grantedScope, name, action) {
+  const index = scopeIndex(grantedScope)
+  const covers = value => index.match(name.concat(value, action)) !== undefined
+  const candidates = new Set(
+    grantedScope
+      .filter(granted => granted[0] === name[0])
+      .flatMap(granted => granted.slice(1))
+      .filter(scope => !scope.includes('*'))
+  )
+
+  return covers(anyValue)
+    ? { all: true, values: [] }
+    : { all: false, values: [...candidates].filter(covers) }
+}
+
+/**
+ * Creates cache that holds up to `maxSize` entries and evicts least recently
+ * used entry on overflow. If `ttl` is set, entries expire after `ttl`
+ * milliseconds. Cache with zero size or zero `ttl` stores nothing.
+ */
+function lruCache(maxSize, ttl) {
+  const entries = new Map()
+  const expired = entry =>
+    entry.expires !== undefined && entry.expires <= Date.now()
+
+  return {
+    get(key) {
+      if (!this.has(key)) {
+        return undefined
+      }
+      const entry = entries.get(key)
+      entries.delete(key)
+      entries.set(key, entry)
+      return entry.value
+    },
+    has(key) {
+      if (entries.has(key) && expired(entries.get(key))) {
+        entries.delete(key)
+      }
+      return entries.has(key)
+    },
+    set(key, value) {
+      if (maxSize <= 0 || ttl === 0) {
+        return
+      }
+      entries.delete(key)
+      entries.set(key, {
+        value,
+        expires: ttl === undefined ? undefined : Date.now() + ttl
+      })
+      if (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value)
+      }
+    },
+    get size() {
+      return entries.size
+    }
   }
 }
 
+/** Checks that one of permissions covers another. */
+function overlapClaims(claim, other) {
+  return matchClaim(claim, other) || matchClaim(other, claim)
+}
+
 /** Validate and parse arguments passed to the middleware factory function. */
 function factoryArgv(claims, claimCharset, claimScopeDelimiter) {
   if (!claims.length) {
-    throw new Error('Expected at least one argument')
+    throw new ExpressJwtScopeError('Expected at least one argument')
   }
   const outputArgs = []
+  const segmentPattern = `(?:${claimCharset}|${placeholderPattern})+`
   const requestedClaimRegex = new RegExp(
-    `^${claimCharset}+(\\${claimScopeDelimiter}${claimCharset}+)*$`
+    `^${segmentPattern}(\\${claimScopeDelimiter}${segmentPattern})*$`
   )
   for (const [index, claim] of claims.entries()) {
-    if (isFunction(claim)) {
+    if (isFunction(claim) || isPolicy(claim)) {
       outputArgs.push(claim)
     } else if (isString(claim)) {
       if (!requestedClaimRegex.test(claim)) {
-        throw new Error(`Invalid argument [${index + 1}]: '${claim}'`)
+        throw new ExpressJwtScopeError(
+          `Invalid argument [${index + 1}]: '${claim}'`
+        )
+      } else if (claim.includes('{')) {
+        outputArgs.push(claim.match(new RegExp(segmentPattern, 'g')))
       } else {
         outputArgs.push(claim.split(claimScopeDelimiter))
       }
     } else {
       throw new TypeError(
-        `String or function argument expected, got [${index + 1}]: ${claim}`
+        `String, function or policy argument expected, got [${
+          index + 1
+        }]: ${claim}`
       )
     }
   }
@@ -118,17 +1088,42 @@ function factoryArgv(claims, claimCharset, claimScopeDelimiter) {
   return outputArgs
 }
 
+/** Returns regular expression that matches single granted permission. */
+function grantedClaimRegExp(claimCharset, claimScopeDelimiter, segmentGlob) {
+  const globPattern = segmentGlob
+    ? `|\\*?${claimCharset}+(\\*${claimCharset}+)*\\*?`
+    : ''
+  return new RegExp(
+    `^${claimCharset}+(\\${claimScopeDelimiter}(${claimCharset}+|\\*\\*?${globPattern}))*$`
+  )
+}
+
 /** Validate and parse permissions obtained from the access token. */
 function parseGrantedScope(
   scope,
   claimDelimiter,
   claimCharset,
-  claimScopeDelimiter
+  claimScopeDelimiter,
+  segmentGlob
 ) {
-  const grantedClaimRegex = new RegExp(
-    `^${claimCharset}+(\\${claimScopeDelimiter}(${claimCharset}+|\\*))*$`
+  return splitGrantedScope(
+    scope,
+    claimDelimiter,
+    claimScopeDelimiter,
+    grantedClaimRegExp(claimCharset, claimScopeDelimiter, segmentGlob)
   )
+}
 
+/**
+ * Validate and parse permissions obtained from the access token using
+ * precompiled `grantedClaimRegex`.
+ */
+function splitGrantedScope(
+  scope,
+  claimDelimiter,
+  claimScopeDelimiter,
+  grantedClaimRegex
+) {
   let claimList = scope
   if (isString(scope)) {
     claimList = scope ? scope.split(claimDelimiter) : []
@@ -150,11 +1145,60 @@ function parseGrantedScope(
   return outputScope
 }
 
+/** Validate list of roles obtained from the access token and resolve their permissions. */
+function parseGrantedRoles(claim, claimDelimiter, roles) {
+  let roleList = claim
+  if (isString(claim)) {
+    roleList = claim ? claim.split(claimDelimiter) : []
+  } else if (claim === undefined) {
+    roleList = []
+  } else if (!Array.isArray(claim)) {
+    return null
+  }
+
+  const outputScope = []
+  for (const role of roleList) {
+    if (!isString(role)) {
+      return null
+    } else if (roles.has(String(role))) {
+      outputScope.push(...roles.get(String(role)))
+    }
+  }
+
+  return outputScope
+}
+
 module.exports = {
+  bearerChallenge,
+  claimGrammarCharset,
   deepCopy,
+  editDistance,
+  enforcementMode,
+  expandImplications,
+  expandRoles,
+  expandVocabulary,
   factoryArgv,
+  grantedClaimRegExp,
+  grantedInVocabulary,
+  grantedValues,
+  impliedScope,
+  inVocabulary,
+  isBoolean,
   isFunction,
+  isPlainObject,
   isString,
+  isTemplate,
+  lruCache,
+  matchClaim,
+  matchRoute,
   moduleArgv,
-  parseGrantedScope
+  parseGrantedRoles,
+  parseGrantedScope,
+  resolveTemplate,
+  resourceActions,
+  routePattern,
+  scopeIndex,
+  splitGrantedScope,
+  suggestPermissions,
+  tenantScope
 }
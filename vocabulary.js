@@ -0,0 +1,50 @@
+'use strict'
+
+const utils = require('./utils')
+
+/** Escapes `value` for TypeScript single-quoted string literal. */
+const stringLiteral = value => `'${value.replace(/[\\']/g, '\\$&')}'`
+
+/** Escapes `value` for TypeScript template literal. */
+const templateText = value => value.replace(/[\\`]|\$(?=\{)/g, '\\$&')
+
+/**
+ * Converts vocabulary permission into TypeScript literal type. Wildcards
+ * become `${string}` placeholders of template literal type.
+ */
+const permissionType = (claim, claimScopeDelimiter) => {
+  if (!claim.some(scope => scope.includes('*'))) {
+    return stringLiteral(claim.join(claimScopeDelimiter))
+  }
+
+  const template = claim
+    .map(scope => scope.split(/\*+/).map(templateText).join('${string}'))
+    .join(templateText(claimScopeDelimiter))
+  return `\`${template}\``
+}
+
+/**
+ * Generates TypeScript declaration of literal union type of the permissions
+ * described by `vocabulary`. `options` accepts module configuration that
+ * affects permission format and `typeName` of the generated type.
+ */
+function typeDefinition(vocabulary, options) {
+  const { typeName = 'Permission', ...moduleOptions } = options || {}
+  if (!/^[A-Za-z_$][\w$]*$/.test(typeName)) {
+    throw new TypeError(`typeName expected an identifier, got '${typeName}'`)
+  }
+  const config = utils.moduleArgv(
+    Object.assign({}, moduleOptions, { vocabulary })
+  )
+
+  const members = config.vocabulary.map(({ claim }) =>
+    permissionType(claim, config.claimScopeDelimiter)
+  )
+  return `export type ${typeName} =\n${members
+    .map(member => `  | ${member}`)
+    .join('\n')};\n`
+}
+
+module.exports = {
+  typeDefinition
+}